@@ -285,6 +285,8 @@ export class AutoConfigManager {
       offscreenCanvas: typeof OffscreenCanvas !== 'undefined',
       webWorkers: typeof Worker !== 'undefined',
       sharedArrayBuffer: typeof SharedArrayBuffer !== 'undefined',
+      // Shared memory can only be posted to workers from cross-origin isolated pages
+      sharedMemory: typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true,
       
       // Memory management
       weakRef: typeof WeakRef !== 'undefined',
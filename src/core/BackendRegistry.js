@@ -0,0 +1,241 @@
+/**
+ * BACKEND REGISTRY
+ * Pluggable measurement backends, chosen per batch by calibrated cost and health
+ */
+
+import { classifyRect, resolveBreakpoint } from '../workers/GeometryProtocol.js';
+
+export class BackendRegistry {
+  constructor(options = {}) {
+    this.config = {
+      smoothing: 0.2,        // Weight of the newest batch in latency averages
+      timeoutMs: 2000,       // Per backend and batch; a hung backend counts as failed
+      createBreaker: null,   // name => circuit breaker guarding that backend
+      ...options
+    };
+
+    this.backends = new Map();
+    this.stats = new Map();
+    this.breakers = new Map();
+  }
+
+  /**
+   * Add or replace a backend
+   *
+   * A backend is `{ name, probe(), estimate(count), measure(elements, context) }`.
+   * `measure` must do its DOM reads before its first await (it runs in the
+   * read phase) and resolve to one rect-like object per element, in order.
+   * `context.descriptors[i]` lists the breakpoints of element i; a backend
+   * may resolve them itself by returning `breakpoint` on its results.
+   * `context.signal` aborts when the batch is cancelled or the backend
+   * times out.
+   */
+  register(backend) {
+    if (!backend?.name || typeof backend.measure !== 'function') {
+      throw new TypeError('A backend needs a name and a measure(elements, context) function');
+    }
+
+    this.backends.set(backend.name, {
+      probe: () => true,
+      estimate: count => count,
+      ...backend
+    });
+    this.stats.set(backend.name, {
+      batches: 0,
+      elements: 0,
+      failures: 0,
+      skipped: 0,            // Batches routed around while unhealthy
+      latency: null,         // EWMA batch duration (ms)
+      calibration: 1         // EWMA of measured / estimated duration
+    });
+
+    this.breakers.get(backend.name)?.destroy?.();
+    this.breakers.set(backend.name, this.config.createBreaker?.(backend.name) ?? null);
+    return this;
+  }
+
+  /**
+   * Remove a backend
+   */
+  unregister(name) {
+    this.breakers.get(name)?.destroy?.();
+    this.breakers.delete(name);
+    this.stats.delete(name);
+    return this.backends.delete(name);
+  }
+
+  /**
+   * Estimated cost of a batch, scaled by how the backend actually performed
+   */
+  estimate(name, count) {
+    const backend = this.backends.get(name);
+    return backend.estimate(count) * this.stats.get(name).calibration;
+  }
+
+  /**
+   * Available backends for a batch, cheapest first
+   */
+  rank(count, { only = null, exclude = [] } = {}) {
+    return [...this.backends.values()]
+      .filter(backend => (!only || backend.name === only) &&
+        !exclude.includes(backend.name) &&
+        backend.probe())
+      .map(backend => ({ backend, cost: this.estimate(backend.name, count) }))
+      .sort((a, b) => a.cost - b.cost)
+      .map(({ backend }) => backend);
+  }
+
+  /**
+   * Measure a batch with the cheapest backend, falling through on failure
+   */
+  async run(elements, context = {}, constraints = {}) {
+    const candidates = this.rank(elements.length, constraints);
+    let lastError = new Error('No processing backend available');
+
+    for (const backend of candidates) {
+      // Open breakers skip the backend until a half-open probe is due
+      const breaker = this.breakers.get(backend.name);
+      if (breaker && !breaker.allowRequest()) {
+        this.stats.get(backend.name).skipped++;
+        continue;
+      }
+
+      const startTime = performance.now();
+      const attempt = this.withTimeout(backend, context);
+      try {
+        const measurements = await Promise.race([
+          backend.measure(elements, { ...context, signal: attempt.signal }),
+          attempt.timeout
+        ]);
+        if (measurements?.length !== elements.length) {
+          throw new TypeError(
+            `Backend "${backend.name}" returned ${measurements?.length} results for ${elements.length} elements`
+          );
+        }
+
+        const duration = performance.now() - startTime;
+        this.record(backend, elements.length, duration);
+        breaker?.recordSuccess(duration);
+        return {
+          backend: backend.name,
+          measurements: measurements.map((rect, index) =>
+            BackendRegistry.normalize(rect, context.descriptors?.[index]))
+        };
+      } catch (error) {
+        if (error?.name === 'AbortError') throw error;
+
+        this.stats.get(backend.name).failures++;
+        breaker?.recordFailure(error, performance.now() - startTime);
+        lastError = error;
+        console.warn(`Backend "${backend.name}" failed, trying the next one:`, error.message);
+      } finally {
+        attempt.dispose();
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Signal and timeout for one backend's attempt at a batch
+   *
+   * The signal follows the batch's and also aborts on timeout, so a hung
+   * backend can stop its work while the batch moves on to the next one.
+   */
+  withTimeout(backend, context) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(context.signal.reason);
+    if (context.signal?.aborted) {
+      onAbort();
+    } else {
+      context.signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new DOMException(
+          `Backend "${backend.name}" timed out after ${this.config.timeoutMs}ms`, 'TimeoutError');
+        controller.abort(error);
+        reject(error);
+      }, this.config.timeoutMs);
+    });
+
+    return {
+      signal: controller.signal,
+      timeout,
+      dispose: () => {
+        clearTimeout(timer);
+        context.signal?.removeEventListener('abort', onAbort);
+      }
+    };
+  }
+
+  /**
+   * Fold a batch duration into the backend's latency and calibration
+   */
+  record(backend, count, duration) {
+    const stats = this.stats.get(backend.name);
+    const alpha = this.config.smoothing;
+    const estimated = backend.estimate(count);
+    // Timer resolution can report 0ms; a floor keeps one lucky batch from pinning a backend
+    const ratio = estimated > 0 ? Math.max(duration / estimated, 0.05) : 1;
+
+    stats.batches++;
+    stats.elements += count;
+    stats.latency = stats.latency === null
+      ? duration
+      : stats.latency + alpha * (duration - stats.latency);
+    stats.calibration = stats.batches === 1
+      ? ratio
+      : stats.calibration + alpha * (ratio - stats.calibration);
+  }
+
+  /**
+   * Common result schema for every backend
+   */
+  static normalize(rect, descriptors = null) {
+    const width = rect?.width ?? 0;
+    const height = rect?.height ?? 0;
+    const { aspectRatio, orientation } = classifyRect({ width, height });
+
+    return Object.freeze({
+      x: rect?.x ?? rect?.left ?? 0,
+      y: rect?.y ?? rect?.top ?? 0,
+      width,
+      height,
+      area: width * height,
+      aspectRatio,
+      orientation,
+      breakpoint: rect?.breakpoint !== undefined
+        ? rect.breakpoint
+        : resolveBreakpoint({ width, height }, descriptors)
+    });
+  }
+
+  /**
+   * Per-backend availability, breaker state and latency
+   */
+  getMetrics() {
+    return Object.fromEntries([...this.backends.values()].map((backend) => {
+      const state = this.breakers.get(backend.name)?.state ?? 'CLOSED';
+      return [backend.name, {
+        available: backend.probe(),
+        state,
+        healthy: state === 'CLOSED',
+        ...this.stats.get(backend.name)
+      }];
+    }));
+  }
+
+  /**
+   * Release breaker timers
+   */
+  destroy() {
+    for (const breaker of this.breakers.values()) {
+      breaker?.destroy?.();
+    }
+  }
+}
+
+export default BackendRegistry;
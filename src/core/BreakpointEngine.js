@@ -0,0 +1,151 @@
+/**
+ * BREAKPOINT ENGINE
+ * Resolves named or numeric breakpoints against observed element sizes
+ */
+
+export class BreakpointEngine {
+  constructor(cache) {
+    this.cache = cache;                // WeakRefCache for memoized resolutions
+    this.active = new WeakMap();       // Last resolution per element (crossing detection)
+    this.definitions = new WeakMap();  // Normalized descriptors per breakpoints option
+  }
+
+  /**
+   * Normalize breakpoints into ascending, frozen descriptors
+   *
+   * Accepts `[320, 768]`, `{ sm: 320, md: { min: 768, axis: 'height' } }`
+   * or `[{ name: 'md', min: 768 }]`.
+   */
+  static normalize(breakpoints, axis = 'width') {
+    if (!breakpoints) return [];
+
+    const entries = Array.isArray(breakpoints)
+      ? breakpoints.map(bp => (typeof bp === 'number' ? { min: bp } : { ...bp }))
+      : Object.entries(breakpoints).map(([name, bp]) =>
+          (typeof bp === 'number' ? { name, min: bp } : { name, ...bp }));
+
+    return entries
+      .map(bp => {
+        if (!Number.isFinite(bp.min)) {
+          throw new TypeError(`Invalid breakpoint: ${JSON.stringify(bp)}`);
+        }
+        return Object.freeze({
+          name: bp.name ?? bp.min,
+          min: bp.min,
+          axis: bp.axis || axis
+        });
+      })
+      .sort((a, b) => a.min - b.min);
+  }
+
+  /**
+   * Find the highest breakpoint satisfied by a size
+   *
+   * With hysteresis, boundaries above the current breakpoint must be
+   * exceeded by the band and boundaries at or below it must be undercut
+   * by the band, so sizes hovering around a boundary don't flip-flop.
+   */
+  static match(size, descriptors, current = null, hysteresis = 0) {
+    let match = null;
+    for (const bp of descriptors) {
+      const band = current && bp.min <= current.min ? -hysteresis : hysteresis;
+      if (size[bp.axis] >= bp.min + band) match = bp;
+    }
+    return match;
+  }
+
+  /**
+   * Get normalized descriptors for a registration config
+   */
+  getDescriptors(config) {
+    const { breakpoints } = config;
+    if (!breakpoints || typeof breakpoints !== 'object') return [];
+
+    let descriptors = this.definitions.get(breakpoints);
+    if (!descriptors) {
+      descriptors = BreakpointEngine.normalize(breakpoints, config.breakpointAxis);
+      this.definitions.set(breakpoints, descriptors);
+    }
+    return descriptors;
+  }
+
+  /**
+   * Resolve the breakpoint for an element, reusing the memoized result
+   */
+  resolve(element, size, config) {
+    const descriptors = this.getDescriptors(config);
+    const hysteresis = config.hysteresis || 0;
+    const current = this.active.get(element)?.breakpoint ?? null;
+    const cached = this.cache.get(element);
+
+    if (cached &&
+        cached.descriptors === descriptors &&
+        cached.hysteresis === hysteresis &&
+        cached.from === current &&
+        cached.width === size.width &&
+        cached.height === size.height) {
+      return cached;
+    }
+
+    const breakpoint = BreakpointEngine.match(size, descriptors, current, hysteresis);
+
+    const resolution = {
+      descriptors,
+      hysteresis,
+      from: current,
+      width: size.width,
+      height: size.height,
+      breakpoint,
+      // A crossing the hysteresis band is holding back
+      held: hysteresis > 0 && breakpoint !== BreakpointEngine.match(size, descriptors),
+      timestamp: Date.now()
+    };
+
+    this.cache.set(element, resolution);
+    return resolution;
+  }
+
+  /**
+   * Resolve and report whether the element crossed a breakpoint
+   */
+  update(element, size, config) {
+    const previous = this.active.get(element)?.breakpoint ?? null;
+    const resolution = this.resolve(element, size, config);
+
+    // Holding the resolution strongly keeps the cache's WeakRef alive
+    this.active.set(element, resolution);
+
+    // Reconfiguring with equal breakpoints yields new descriptors; names decide crossings
+    const next = resolution.breakpoint;
+    const changed = (next?.name ?? null) !== (previous?.name ?? null);
+    return { next, previous, changed, held: resolution.held };
+  }
+
+  /**
+   * Seed the active breakpoint by name without a measurement (server hints)
+   */
+  seed(element, name, config) {
+    const breakpoint = this.getDescriptors(config)
+      .find(bp => String(bp.name) === String(name)) ?? null;
+
+    this.active.set(element, { breakpoint, width: NaN, height: NaN });
+    return breakpoint;
+  }
+
+  /**
+   * Get the active breakpoint for an element
+   */
+  getBreakpoint(element) {
+    return this.active.get(element)?.breakpoint ?? null;
+  }
+
+  /**
+   * Drop all breakpoint state for an element
+   */
+  forget(element) {
+    this.active.delete(element);
+    this.cache.delete(element);
+  }
+}
+
+export default BreakpointEngine;
@@ -0,0 +1,220 @@
+/**
+ * ELEMENT DISCOVERY
+ * Declarative registration of [data-usrs] elements with MutationObserver tracking
+ */
+
+import { BreakpointEngine } from './BreakpointEngine.js';
+
+const BOXES = ['content-box', 'border-box', 'device-pixel-content-box'];
+const PRIORITIES = ['user-blocking', 'user-visible', 'background'];
+
+export class ElementDiscovery {
+  constructor(system, options = {}) {
+    this.system = system;
+    this.config = {
+      root: globalThis.document,
+      selector: '[data-usrs]',
+      ...options
+    };
+
+    this.discovered = new Map();   // Element => controller of its registration
+    this.mutationObserver = null;
+    this.abortController = new AbortController();
+  }
+
+  /**
+   * Parse registration config from data-usrs-* attributes
+   *
+   * Each attribute is parsed on its own so one malformed value only
+   * drops that option. Returns the config and the errors encountered.
+   */
+  static parseAttributes(element) {
+    const { usrsBreakpoints, usrsBox, usrsPriority, usrsAxis, usrsReflect } = element.dataset;
+    const config = {};
+    const errors = [];
+
+    const parse = (name, value, parser) => {
+      if (value === undefined) return;
+      try {
+        config[name] = parser(value.trim());
+      } catch (error) {
+        errors.push(new TypeError(`Invalid data-usrs-${name} "${value}": ${error.message}`));
+      }
+    };
+
+    parse('breakpoints', usrsBreakpoints, value => {
+      // JSON object, or "320, 768" / "sm:320, md:768"
+      const breakpoints = value.startsWith('{') || value.startsWith('[')
+        ? JSON.parse(value)
+        : ElementDiscovery.parseBreakpointList(value);
+      BreakpointEngine.normalize(breakpoints);
+      return breakpoints;
+    });
+
+    parse('breakpointAxis', usrsAxis, value => {
+      if (value !== 'width' && value !== 'height') throw new Error('expected width or height');
+      return value;
+    });
+
+    parse('box', usrsBox, value => {
+      if (!BOXES.includes(value)) throw new Error(`expected one of ${BOXES.join(', ')}`);
+      return value;
+    });
+
+    parse('priority', usrsPriority, value => {
+      if (!PRIORITIES.includes(value)) throw new Error(`expected one of ${PRIORITIES.join(', ')}`);
+      return value;
+    });
+
+    parse('reflect', usrsReflect, value => value !== 'false');
+
+    return { config, errors };
+  }
+
+  /**
+   * Parse "320, 768" or "sm:320, md:768" into breakpoints
+   */
+  static parseBreakpointList(value) {
+    const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+    const named = parts.some(part => part.includes(':'));
+
+    if (!named) return parts.map(Number);
+
+    return Object.fromEntries(parts.map(part => {
+      const [name, min] = part.split(':').map(token => token.trim());
+      return [name, Number(min)];
+    }));
+  }
+
+  /**
+   * Register existing elements and watch the root for changes
+   */
+  start() {
+    const { root } = this.config;
+    if (!root) return this;
+
+    // Elements unregistered elsewhere must not be held here
+    this.system.addEventListener('unregister', (event) => {
+      this.discovered.delete(event.element);
+    }, { signal: this.abortController.signal });
+
+    this.scan(root);
+
+    if (typeof MutationObserver !== 'undefined') {
+      this.mutationObserver = new MutationObserver(this.handleMutations.bind(this));
+      this.mutationObserver.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['data-usrs']
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Register a node and any matching descendants
+   */
+  scan(node) {
+    if (node.nodeType !== 1 && node.nodeType !== 9 && node.nodeType !== 11) return;
+
+    if (node.matches?.(this.config.selector)) {
+      this.register(node);
+    }
+    for (const element of node.querySelectorAll(this.config.selector)) {
+      this.register(element);
+    }
+  }
+
+  /**
+   * Register one discovered element, degrading on malformed attributes
+   */
+  async register(element) {
+    // Elements registered by other code keep their owner
+    if (this.discovered.has(element) || this.system.registry.has(element) ||
+        this.system.registering.has(element)) return;
+    const controller = new AbortController();
+    this.discovered.set(element, controller);
+
+    const { config, errors } = ElementDiscovery.parseAttributes(element);
+
+    for (const error of errors) {
+      console.warn('⚠️ Ignoring malformed attribute:', error.message);
+      this.system.circuitBreaker.recordFailure(error, 0);
+    }
+
+    // Discovery never awaits registrations, so failures end here
+    try {
+      const handle = await this.system.registerElement(element, { ...config, signal: controller.signal });
+
+      // Removed (and maybe re-added) while registering: this registration is stale
+      if (this.discovered.get(element) !== controller || element.isConnected === false) {
+        if (this.discovered.get(element) === controller) this.discovered.delete(element);
+        handle.dispose();
+        return null;
+      }
+      return handle;
+    } catch (error) {
+      if (this.discovered.get(element) === controller) this.discovered.delete(element);
+      if (error?.name !== 'AbortError') {
+        console.error('Discovered element registration failed:', error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Unregister a discovered element
+   */
+  unregister(element) {
+    const controller = this.discovered.get(element);
+    if (!controller) return;
+
+    // A registration still in flight is cancelled rather than left to finish
+    this.discovered.delete(element);
+    controller.abort();
+    this.system.unregisterElement(element);
+  }
+
+  /**
+   * Track added, removed and re-attributed nodes
+   */
+  handleMutations(records) {
+    for (const record of records) {
+      if (record.type === 'attributes') {
+        if (record.target.matches(this.config.selector)) {
+          this.register(record.target);
+        } else {
+          this.unregister(record.target);
+        }
+        continue;
+      }
+
+      // Removals first so moved nodes are registered again below
+      for (const node of record.removedNodes) {
+        if (node.nodeType !== 1) continue;
+        for (const element of this.discovered.keys()) {
+          if (node === element || node.contains(element)) {
+            this.unregister(element);
+          }
+        }
+      }
+
+      for (const node of record.addedNodes) {
+        if (node.isConnected) this.scan(node);
+      }
+    }
+  }
+
+  /**
+   * Stop watching for changes; registered elements stay registered
+   */
+  stop() {
+    this.mutationObserver?.disconnect();
+    this.mutationObserver = null;
+    this.abortController.abort();
+  }
+}
+
+export default ElementDiscovery;
@@ -0,0 +1,163 @@
+/**
+ * ELEMENT GROUP
+ * Observes several elements as a unit with one aggregated event per frame
+ */
+
+import { ResizeSystemEvents } from './ResizeSystemEvent.js';
+import { summarizeRects } from '../workers/GeometryProtocol.js';
+
+export class ElementGroup {
+  constructor(system, name, options = {}) {
+    this.system = system;
+    this.name = name;
+    this.config = {
+      onResize: null,    // (detail, group, { read, write }) after each aggregation
+      member: {},        // Registration config for members the group registers
+      workerThreshold: 64, // Members from which aggregation runs in a geometry worker
+      ...options
+    };
+
+    this.members = new Set();
+    this.handles = new Map();      // Registrations owned by the group
+    this.changed = new Set();      // Members resized since the last aggregation
+    this.scheduled = false;
+    this.sequence = 0;             // Latest aggregation; older worker replies are stale
+    this.disposed = false;
+    this.last = null;
+    this.controller = new AbortController();
+
+    const { signal } = this.controller;
+    system.addEventListener(ResizeSystemEvents.RESIZE, (event) => {
+      if (this.members.has(event.element)) this.markChanged(event.element);
+    }, { signal });
+    system.addEventListener(ResizeSystemEvents.UNREGISTER, (event) => {
+      if (this.members.delete(event.element)) {
+        this.handles.delete(event.element);
+        this.markChanged(null);
+      }
+    }, { signal });
+    system.addEventListener(ResizeSystemEvents.DESTROY, () => this.dispose(), { signal });
+  }
+
+  /**
+   * Add a member, registering it unless the system already observes it
+   */
+  async add(element, config = {}) {
+    if (this.disposed) throw new Error(`Group "${this.name}" is disposed`);
+    if (this.members.has(element)) return;
+
+    this.members.add(element);
+    if (this.system.registry.has(element) || this.system.registering.has(element)) {
+      this.markChanged(element);
+      return;
+    }
+
+    const handle = await this.system.registerElement(element, { ...this.config.member, ...config });
+    if (this.members.has(element)) this.handles.set(element, handle);
+  }
+
+  /**
+   * Remove a member, unregistering it if the group registered it
+   */
+  remove(element) {
+    if (!this.members.delete(element)) return false;
+
+    const handle = this.handles.get(element);
+    this.handles.delete(element);
+    this.markChanged(null);
+    handle?.dispose();
+    return true;
+  }
+
+  /**
+   * Queue one aggregation after every member resized in this frame
+   */
+  markChanged(element) {
+    if (element) this.changed.add(element);
+    if (this.scheduled || this.disposed) return;
+    this.scheduled = true;
+
+    // Queued from the resize flush, so it runs once that flush has finished
+    this.system.runInFramePhase('read', () => {
+      this.scheduled = false;
+      return this.aggregate();
+    });
+  }
+
+  /**
+   * Measure member positions and deliver the aggregated group geometry
+   */
+  async aggregate() {
+    if (this.disposed) return null;
+
+    // All layout reads happen before the first await, inside the read phase
+    const rects = [];
+    for (const element of this.members) {
+      const geometry = this.system.registry.get(element)?.geometry;
+      if (!geometry) continue;
+
+      // Positions come from layout; member sizes are those of the observed box
+      const { left, top, right, bottom } = element.getBoundingClientRect();
+      rects.push({ x: left, y: top, right, bottom, width: geometry.width, height: geometry.height });
+    }
+
+    // Changes stay pending until delivered, so a newer aggregation reports them too
+    const changed = [...this.changed];
+    const sequence = ++this.sequence;
+
+    const detail = await this.summarizeInWorker(rects) ?? summarizeRects(rects);
+    if (this.disposed || sequence !== this.sequence) return null;
+
+    for (const element of changed) this.changed.delete(element);
+    this.last = { group: this.name, ...detail, changed };
+
+    this.system.emit(ResizeSystemEvents.GROUP_RESIZE, this.last);
+    this.config.onResize?.(this.last, this, this.system.frameHelpers);
+    return this.last;
+  }
+
+  /**
+   * Summarize large groups off the main thread; null means summarize locally
+   */
+  async summarizeInWorker(rects) {
+    const { workerManager } = this.system;
+    if (!workerManager?.isSupported || rects.length < this.config.workerThreshold) return null;
+
+    try {
+      const { groups } = await workerManager.request('geometry', {
+        rects,
+        groups: [{ name: this.name, members: rects.map((rect, index) => index) }]
+      }, this.controller.signal);
+
+      const { name, ...summary } = groups[0];
+      return summary;
+    } catch (error) {
+      if (error?.name !== 'AbortError') {
+        console.warn(`Group "${this.name}" worker aggregation failed, summarizing locally:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Stop aggregating and release the registrations the group created
+   */
+  dispose() {
+    if (this.disposed) return;
+
+    this.disposed = true;
+    this.controller.abort();
+    if (this.system.groups?.get(this.name) === this) {
+      this.system.groups.delete(this.name);
+    }
+
+    for (const handle of this.handles.values()) {
+      handle.dispose();
+    }
+    this.handles.clear();
+    this.members.clear();
+    this.changed.clear();
+  }
+}
+
+export default ElementGroup;
@@ -0,0 +1,72 @@
+/**
+ * GEOMETRY HISTORY
+ * Bounded ring buffer of size snapshots with velocity and trend
+ */
+
+export class GeometryHistory {
+  constructor(options = {}) {
+    this.config = {
+      size: 16,              // Snapshots kept per element
+      velocityWindow: 100,   // ms of recent samples used for velocity
+      settleTime: 150,       // ms without changes before a resize counts as settled
+      ...options
+    };
+
+    this.buffer = new Array(this.config.size);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Record a snapshot, overwriting the oldest once full
+   */
+  push(geometry, time = performance.now()) {
+    const index = (this.start + this.length) % this.config.size;
+    this.buffer[index] = { width: geometry.width, height: geometry.height, time };
+
+    if (this.length < this.config.size) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.config.size;
+    }
+  }
+
+  /**
+   * Snapshots from oldest to newest
+   */
+  toArray() {
+    return Array.from({ length: this.length }, (_, i) =>
+      this.buffer[(this.start + i) % this.config.size]);
+  }
+
+  /**
+   * Derive velocity (px/s), direction and settling state
+   */
+  getInsights(now = performance.now()) {
+    const samples = this.toArray();
+    const last = samples[samples.length - 1];
+    const settling = !!last && now - last.time < this.config.settleTime;
+
+    // Compare against the oldest sample still inside the velocity window
+    const first = samples.find(sample => last.time - sample.time <= this.config.velocityWindow);
+    const elapsed = last && first ? (last.time - first.time) / 1000 : 0;
+
+    const velocity = {
+      width: settling && elapsed > 0 ? (last.width - first.width) / elapsed : 0,
+      height: settling && elapsed > 0 ? (last.height - first.height) / elapsed : 0
+    };
+
+    const trend = value => (value > 0 ? 'growing' : value < 0 ? 'shrinking' : 'stable');
+
+    return {
+      samples: samples.length,
+      velocity,
+      direction: { width: trend(velocity.width), height: trend(velocity.height) },
+      settling,
+      lastChange: last?.time ?? null,
+      history: samples
+    };
+  }
+}
+
+export default GeometryHistory;
@@ -0,0 +1,127 @@
+/**
+ * GEOMETRY STREAM
+ * Async-iterable geometry snapshots for a single observed element
+ */
+
+export class GeometryStream {
+  constructor(system, element, options = {}) {
+    this.element = element;
+    this.config = {
+      buffer: 'latest',      // 'latest', 'bounded' or 'all'
+      highWaterMark: 16,     // Queue length for 'bounded' buffering
+      ...options
+    };
+
+    this.queue = [];
+    this.waiters = [];
+    this.done = false;
+    this.dropped = 0;
+    this.controller = new AbortController();
+
+    const { signal } = this.controller;
+    const forElement = handler => event => {
+      if (event.element === element) handler(event);
+    };
+
+    system.addEventListener('resize', forElement(event => {
+      this.push(event.detail.geometry);
+    }), { signal });
+    system.addEventListener('unregister', forElement(() => this.close()), { signal });
+    system.addEventListener('destroy', () => this.close(), { signal });
+
+    if (this.config.signal?.aborted) {
+      this.close();
+    } else {
+      this.config.signal?.addEventListener('abort', () => this.close(), { signal });
+    }
+  }
+
+  /**
+   * Deliver a snapshot to a waiting consumer or buffer it
+   */
+  push(geometry) {
+    if (this.done) return;
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter({ value: geometry, done: false });
+      return;
+    }
+
+    switch (this.config.buffer) {
+      case 'all':
+        break;
+      case 'bounded':
+        if (this.queue.length >= this.config.highWaterMark) {
+          this.queue.shift();
+          this.dropped++;
+        }
+        break;
+      default:
+        // Slow consumers only ever see the most recent size
+        this.dropped += this.queue.length;
+        this.queue.length = 0;
+    }
+
+    this.queue.push(geometry);
+  }
+
+  /**
+   * End the stream; buffered snapshots are still delivered
+   */
+  close() {
+    if (this.done) return;
+
+    this.done = true;
+    this.controller.abort();
+
+    for (const waiter of this.waiters.splice(0)) {
+      waiter({ value: undefined, done: true });
+    }
+  }
+
+  /**
+   * Async iterator protocol
+   */
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Called when a for-await loop exits early
+   */
+  return() {
+    this.close();
+    this.queue = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Expose the stream as a pull-based ReadableStream
+   */
+  toReadableStream() {
+    return new ReadableStream({
+      pull: async controller => {
+        const { value, done } = await this.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      },
+      cancel: () => this.return()
+    }, { highWaterMark: 0 });
+  }
+}
+
+export default GeometryStream;
@@ -0,0 +1,61 @@
+/**
+ * REGISTRATION HANDLE
+ * Disposable handle for one registerElement() call
+ */
+
+// Symbol.dispose is not available everywhere yet
+const disposeSymbol = Symbol.dispose ?? Symbol.for('Symbol.dispose');
+
+export class RegistrationHandle {
+  constructor(system, element, result, signal = null) {
+    // Result fields (success, mode, method, data) stay readable on the handle
+    Object.assign(this, result);
+
+    this.system = system;
+    this.element = element;
+    this.result = result;
+    this.disposed = false;
+
+    // Aborting tears the registration down like dispose()
+    this.signal = signal;
+    this.onAbort = () => this.dispose();
+    if (signal?.aborted) {
+      this.dispose();
+    } else {
+      signal?.addEventListener('abort', this.onAbort, { once: true });
+    }
+  }
+
+  /**
+   * Whether the element is still observed through this registration
+   */
+  get active() {
+    return !this.disposed && this.system.elements.has(this.element);
+  }
+
+  /**
+   * Stop observing the element and release its resources
+   */
+  dispose() {
+    if (this.disposed) return;
+
+    this.release();
+    this.system.unregisterElement(this.element);
+  }
+
+  /**
+   * Mark the registration ended and detach from its signal, so a
+   * long-lived signal does not keep the handle and element alive
+   */
+  release() {
+    this.disposed = true;
+    this.signal?.removeEventListener('abort', this.onAbort);
+    this.signal = null;
+  }
+
+  [disposeSymbol]() {
+    this.dispose();
+  }
+}
+
+export default RegistrationHandle;
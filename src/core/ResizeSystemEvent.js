@@ -0,0 +1,27 @@
+/**
+ * RESIZE SYSTEM EVENTS
+ * Typed events dispatched by UltraStableResizeSystemV2
+ */
+
+export const ResizeSystemEvents = Object.freeze({
+  RESIZE: 'resize',                        // { element, geometry }
+  BREAKPOINT_CHANGE: 'breakpointchange',   // { element, breakpoint, previous }
+  VISIBILITY_CHANGE: 'visibilitychange',   // { element, isVisible, intersectionRatio }
+  GROUP_RESIZE: 'groupresize',             // { group, members, size, min, max, columns, rows, changed }
+  CIRCUIT_STATE_CHANGE: 'circuitstatechange', // { state, previous }
+  BACKEND_STATE_CHANGE: 'backendstatechange', // { backend, state, previous }
+  CACHE_EVICT: 'cacheevict',               // { cache, key, reason }
+  DEGRADED: 'degraded',                    // { element, error, context }
+  UNREGISTER: 'unregister',                // { element }
+  DESTROY: 'destroy'                       // {}
+});
+
+export class ResizeSystemEvent extends Event {
+  constructor(type, detail = {}) {
+    super(type);
+    this.element = detail.element ?? null;
+    this.detail = Object.freeze({ ...detail });
+  }
+}
+
+export default ResizeSystemEvent;
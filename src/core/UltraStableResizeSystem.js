@@ -13,20 +13,66 @@
  * Stability: Maintains 99.7% reliability with enhanced error recovery
  */
 
-// Modern scheduler wrapper (platform-native first)
-const scheduler = globalThis.scheduler?.postTask || 
-  ((callback, options = {}) => {
-    const controller = new AbortController();
-    const scheduleMethod = options.priority === 'user-blocking' 
-      ? requestAnimationFrame 
-      : (globalThis.requestIdleCallback || setTimeout);
-    
-    scheduleMethod(() => {
-      if (!controller.signal.aborted) callback();
-    }, options.delay || 0);
-    
-    return { signal: controller.signal };
-  });
+import { BreakpointEngine } from './BreakpointEngine.js';
+import { ResizeSystemEvent, ResizeSystemEvents } from './ResizeSystemEvent.js';
+import { GeometryStream } from './GeometryStream.js';
+import { ElementDiscovery } from './ElementDiscovery.js';
+import { RegistrationHandle } from './RegistrationHandle.js';
+import { GeometryHistory } from './GeometryHistory.js';
+import { ElementGroup } from './ElementGroup.js';
+import { BackendRegistry } from './BackendRegistry.js';
+import { GEOMETRY_HANDLERS, GEOMETRY_WORKER_SCRIPT, toPlainRect } from '../workers/GeometryProtocol.js';
+import { GeometryRingBuffer } from '../workers/GeometryRingBuffer.js';
+import { LoopDetector, ResizeLoopError } from '../stability/LoopDetector.js';
+import { StateStore } from '../stability/StateStore.js';
+import { FrameScheduler } from '../performance/FrameScheduler.js';
+import { scheduler } from '../performance/TaskScheduler.js';
+
+export { ResizeSystemEvent, ResizeSystemEvents, RegistrationHandle, ElementGroup, BackendRegistry };
+
+// Server-side rendering: no DOM, so nothing may touch browser-only globals
+const isServer = typeof document === 'undefined';
+
+// ResizeObserver box options and the entry field reporting each one
+const BOX_SIZE_FIELDS = {
+  'content-box': 'contentBoxSize',
+  'border-box': 'borderBoxSize',
+  'device-pixel-content-box': 'devicePixelContentBoxSize'
+};
+
+// Normalize an entry's size for one box, degrading where fields are missing
+function readBoxSize(entry, box) {
+  // Older engines report a single size object instead of an array
+  const first = sizes => (sizes && 'inlineSize' in sizes ? sizes : sizes?.[0]);
+
+  const size = first(entry[BOX_SIZE_FIELDS[box]]);
+  if (size) {
+    return { inlineSize: size.inlineSize, blockSize: size.blockSize, approximate: false };
+  }
+
+  const content = first(entry.contentBoxSize) || {
+    inlineSize: entry.contentRect.width,
+    blockSize: entry.contentRect.height
+  };
+
+  if (box === 'device-pixel-content-box') {
+    const ratio = globalThis.devicePixelRatio || 1;
+    return {
+      inlineSize: Math.round(content.inlineSize * ratio),
+      blockSize: Math.round(content.blockSize * ratio),
+      approximate: true
+    };
+  }
+
+  return {
+    inlineSize: content.inlineSize,
+    blockSize: content.blockSize,
+    approximate: box !== 'content-box'
+  };
+}
+
+// Flush order for coalesced entries, mirroring scheduler task priorities
+const PRIORITY_ORDER = { 'user-blocking': 0, 'user-visible': 1, 'background': 2 };
 
 // Enhanced WeakRef-based cache for memory efficiency
 class WeakRefCache extends Map {
@@ -35,12 +81,17 @@ class WeakRefCache extends Map {
     this.maxSize = maxSize;
     this.hitCount = 0;
     this.missCount = 0;
+    this.onEvict = null;
+  }
+
+  evict(key, reason) {
+    this.delete(key);
+    this.onEvict?.(key, reason);
   }
 
   set(key, value) {
-    if (this.size >= this.maxSize) {
-      const firstKey = this.keys().next().value;
-      this.delete(firstKey);
+    if (this.size >= this.maxSize && !this.has(key)) {
+      this.evict(this.keys().next().value, 'capacity');
     }
     super.set(key, new WeakRef(value));
     return this;
@@ -55,7 +106,7 @@ class WeakRefCache extends Map {
     
     const value = ref.deref();
     if (!value) {
-      this.delete(key);
+      this.evict(key, 'collected');
       this.missCount++;
       return undefined;
     }
@@ -71,7 +122,50 @@ class WeakRefCache extends Map {
 
   cleanup() {
     for (const [key, ref] of this.entries()) {
-      if (!ref.deref()) this.delete(key);
+      if (!ref.deref()) this.evict(key, 'collected');
+    }
+  }
+}
+
+// WeakMap whose live values can still be enumerated (V1 observer cleanup)
+class IterableWeakMap extends WeakMap {
+  constructor() {
+    super();
+    this.refs = new Set();
+    this.finalizer = new FinalizationRegistry(ref => this.refs.delete(ref));
+  }
+
+  get(key) {
+    return super.get(key)?.value;
+  }
+
+  set(key, value) {
+    const entry = super.get(key);
+    if (entry) {
+      entry.value = value;
+      return this;
+    }
+
+    const ref = new WeakRef(key);
+    this.refs.add(ref);
+    this.finalizer.register(key, ref, ref);
+    super.set(key, { value, ref });
+    return this;
+  }
+
+  delete(key) {
+    const entry = super.get(key);
+    if (!entry) return false;
+
+    this.refs.delete(entry.ref);
+    this.finalizer.unregister(entry.ref);
+    return super.delete(key);
+  }
+
+  *values() {
+    for (const ref of this.refs) {
+      const key = ref.deref();
+      if (key) yield this.get(key);
     }
   }
 }
@@ -87,6 +181,8 @@ class GPUProcessor {
   }
 
   initialize() {
+    if (typeof OffscreenCanvas === 'undefined') return;
+
     try {
       this.canvas = new OffscreenCanvas(1, 1);
       this.gl = this.canvas.getContext('webgl2') || this.canvas.getContext('webgl');
@@ -194,101 +290,337 @@ class GPUProcessor {
 
 // Web Worker manager for heavy computations
 class WorkerManager {
-  constructor() {
-    this.workers = new Map();
-    this.workerPool = [];
-    this.maxWorkers = navigator.hardwareConcurrency || 4;
+  constructor(script, options = {}) {
+    this.script = script;
+    this.config = {
+      maxWorkers: 'auto',        // Hard cap; 'auto' uses hardware concurrency
+      poolSize: 4,               // Workers started on demand, capped by maxWorkers
+      timeoutMs: 5000,           // Per task; a wedged worker is terminated and replaced
+      maxQueue: 64,              // Tasks waiting for a worker
+      overflow: 'reject',        // Full queue: 'reject', 'drop-oldest' or 'fallback'
+      fallback: {},              // type => handler run on the main thread for 'fallback'
+      enableTransferables: true, // Pack rects into transferred buffers without shared memory
+      ringCapacity: 1024,        // Initial rects per shared ring buffer; grows for larger batches
+      ...options
+    };
+
+    // Rect batches travel through a per-worker shared ring buffer when the page is
+    // cross-origin isolated, as transferred buffers otherwise, or as cloned objects
+    this.transport = GeometryRingBuffer.isSharedSupported() ? 'shared'
+      : this.config.enableTransferables ? 'transfer'
+      : 'clone';
+    this.rings = new Map();      // Worker => shared ring buffer
+
+    const cap = this.config.maxWorkers === 'auto'
+      ? globalThis.navigator?.hardwareConcurrency || 4
+      : this.config.maxWorkers;
+    this.maxWorkers = Math.max(1, Math.min(this.config.poolSize, cap));
+
+    this.scriptUrl = null;
+    this.requestId = 0;
+    this.workers = new Map();    // Worker => running task (null when idle)
+    this.queue = [];
+    this.metrics = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      replaced: 0,
+      dropped: 0,
+      fallbacks: 0
+    };
     this.isSupported = typeof Worker !== 'undefined';
   }
 
-  async createWorker(script) {
-    if (!this.isSupported) return null;
-
+  createWorker() {
     try {
-      const blob = new Blob([script], { type: 'application/javascript' });
-      const workerUrl = URL.createObjectURL(blob);
-      const worker = new Worker(workerUrl);
-      
-      worker.addEventListener('error', this.handleWorkerError.bind(this));
+      // Replacement workers reuse the script URL; it is revoked on destroy
+      this.scriptUrl ??= URL.createObjectURL(new Blob([this.script], { type: 'application/javascript' }));
+      const worker = new Worker(this.scriptUrl);
+
+      // One listener per worker for its lifetime; replies are matched by id
+      worker.addEventListener('message', event => this.handleMessage(worker, event));
+      worker.addEventListener('error', event => this.handleWorkerError(worker, event));
+      this.workers.set(worker, null);
       return worker;
     } catch (error) {
       console.warn('Worker creation failed:', error.message);
+
+      // Without a single worker (e.g. a CSP blocking blob: URLs) nothing would drain the queue
+      if (this.workers.size === 0) this.isSupported = false;
       return null;
     }
   }
 
-  async processInWorker(data, script) {
-    if (!this.isSupported) return this.processFallback(data);
-
-    const worker = await this.getAvailableWorker(script);
-    if (!worker) return this.processFallback(data);
+  request(type, payload, signal) {
+    if (!this.isSupported) return Promise.reject(new Error('Web Workers are not supported'));
+    if (signal?.aborted) return Promise.reject(signal.reason);
 
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Worker timeout'));
-      }, 5000);
-
-      worker.onmessage = (event) => {
-        clearTimeout(timeout);
-        this.releaseWorker(worker);
-        resolve(event.data);
+      const task = {
+        id: ++this.requestId,
+        type,
+        payload,
+        resolve,
+        reject,
+        signal,
+        settled: false,
+        worker: null,
+        queued: false,
+        timeout: null,
+        onAbort: () => this.cancel(task, signal.reason)
       };
+      signal?.addEventListener('abort', task.onAbort, { once: true });
 
-      worker.onerror = (error) => {
-        clearTimeout(timeout);
-        this.releaseWorker(worker);
-        reject(error);
-      };
-
-      worker.postMessage(data);
+      // The timeout covers the wait for a worker as well as the run
+      task.timeout = setTimeout(() => this.handleTimeout(task), this.config.timeoutMs);
+      this.enqueue(task);
     });
   }
 
-  async getAvailableWorker(script) {
-    // Try to get from pool first
-    if (this.workerPool.length > 0) {
-      return this.workerPool.pop();
+  enqueue(task) {
+    const worker = this.getAvailableWorker();
+    if (worker) return this.dispatch(worker, task);
+
+    // No worker exists or can be started, so a queued task would never run
+    if (this.workers.size === 0) return this.runFallback(task);
+
+    if (this.queue.length < this.config.maxQueue) {
+      task.queued = true;
+      this.queue.push(task);
+      return;
     }
 
-    // Create new worker if under limit
-    if (this.workers.size < this.maxWorkers) {
-      const worker = await this.createWorker(script);
-      if (worker) {
-        this.workers.set(worker, { script, busy: true });
-        return worker;
-      }
+    const overflow = new Error(`Worker queue is full (${this.config.maxQueue} tasks)`);
+    switch (this.config.overflow) {
+      case 'drop-oldest':
+        this.metrics.dropped++;
+        if (this.queue.length === 0) {
+          // maxQueue: 0 leaves nothing older to drop
+          this.settle(task, overflow);
+          break;
+        }
+        this.settle(this.queue.shift(), overflow);
+        task.queued = true;
+        this.queue.push(task);
+        break;
+      case 'fallback':
+        this.runFallback(task);
+        break;
+      default:
+        this.metrics.dropped++;
+        this.settle(task, overflow);
+    }
+  }
+
+  getAvailableWorker() {
+    for (const [worker, task] of this.workers) {
+      if (!task) return worker;
+    }
+
+    return this.workers.size < this.maxWorkers ? this.createWorker() : null;
+  }
+
+  dispatch(worker, task) {
+    this.workers.set(worker, task);
+    task.worker = worker;
+    task.dispatchedAt = performance.now();
+
+    const { payload, transfer } = this.pack(worker, task);
+    worker.postMessage({ id: task.id, type: task.type, payload }, transfer);
+  }
+
+  pack(worker, task) {
+    const { rects, ...payload } = task.payload ?? {};
+    if (this.transport === 'clone' || !Array.isArray(rects) || rects.length === 0) {
+      return { payload: task.payload, transfer: [] };
+    }
+
+    let ring = this.rings.get(worker);
+    if (this.transport === 'transfer') {
+      ring = GeometryRingBuffer.allocate(rects.length, false);
+    } else if (!ring || ring.capacity < rects.length) {
+      // Only one batch per worker is in flight, so a ring is empty between tasks
+      const capacity = Math.max(this.config.ringCapacity, 2 ** Math.ceil(Math.log2(rects.length)));
+      ring = GeometryRingBuffer.allocate(capacity, true);
+      this.rings.set(worker, ring);
+    }
+
+    const start = ring.push(rects);
+    if (start === -1) return { payload: task.payload, transfer: [] };
+
+    task.packed = { ring, start, count: rects.length };
+    return {
+      payload: { ...payload, packed: { buffer: ring.buffer, start, count: rects.length, sequence: task.id } },
+      transfer: ring.shared ? [] : [ring.buffer]
+    };
+  }
+
+  unpack(task, result) {
+    const { ring, start, count } = task.packed;
+    const { definitions = [], assignments = [] } = task.payload;
+
+    // A transferred buffer comes back with the reply; a shared one never left
+    const source = ring.shared ? ring : new GeometryRingBuffer(result.packed.buffer);
+    const { packed, ...rest } = result;
+    return {
+      ...rest,
+      results: source.collect(start, count, task.id, assignments.map(index => definitions[index]))
+    };
+  }
+
+  handleMessage(worker, event) {
+    const task = this.workers.get(worker);
+    if (!task || event.data?.id !== task.id) return;
+
+    try {
+      if (!event.data.ok) throw new Error(event.data.error);
+
+      // Unpacking frees the ring slots, even when the task was already cancelled
+      const result = task.packed ? this.unpack(task, event.data.result) : event.data.result;
+      this.metrics.completed++;
+      this.settle(task, null, result);
+    } catch (error) {
+      if (task.packed?.ring.shared) task.packed.ring.release(task.packed.start, task.packed.count);
+      this.metrics.failed++;
+      this.settle(task, error);
+    }
+    this.release(worker);
+  }
+
+  handleTimeout(task) {
+    this.metrics.timedOut++;
+    const { worker } = task;
+    if (!worker) {
+      this.queue.splice(this.queue.indexOf(task), 1);
+      this.settle(task, new DOMException(`Worker task ${task.id} timed out in the queue`, 'TimeoutError'));
+      return;
+    }
+
+    this.settle(task, new DOMException(`Worker task ${task.id} timed out`, 'TimeoutError'));
+
+    // Time spent queued is not the worker's fault; it is wedged only after a full timeout of its own.
+    // A task dispatched on request already gave its worker the whole timeout.
+    const remaining = task.queued
+      ? task.dispatchedAt + this.config.timeoutMs - performance.now()
+      : 0;
+    if (remaining > 0) {
+      task.timeout = setTimeout(() => this.replaceWorker(worker), remaining);
+      return;
+    }
+    this.replaceWorker(worker);
+  }
+
+  handleWorkerError(worker, event) {
+    // An uncaught error leaves the worker in an unknown state
+    console.warn('Worker error:', event.message);
+    event.preventDefault?.();
+
+    const task = this.workers.get(worker);
+    if (task) {
+      this.metrics.failed++;
+      this.settle(task, new Error(event.message || 'Worker error'));
     }
+    this.replaceWorker(worker);
+  }
 
-    return null;
+  cancel(task, reason) {
+    // A running task keeps its worker until the reply or the timeout
+    const index = this.queue.indexOf(task);
+    if (index !== -1) this.queue.splice(index, 1);
+    this.settle(task, reason);
   }
 
-  releaseWorker(worker) {
-    const workerInfo = this.workers.get(worker);
-    if (workerInfo) {
-      workerInfo.busy = false;
-      this.workerPool.push(worker);
+  settle(task, error, result) {
+    if (task.settled) return;
+    task.settled = true;
+    // A running task keeps its timeout so a wedged worker is still replaced
+    if (!task.worker) clearTimeout(task.timeout);
+    task.signal?.removeEventListener('abort', task.onAbort);
+
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(result);
     }
   }
 
-  processFallback(data) {
-    // CPU fallback processing
-    return data.map(item => ({
-      ...item,
-      processed: true,
-      fallback: true
-    }));
+  release(worker) {
+    clearTimeout(this.workers.get(worker)?.timeout);
+    this.workers.set(worker, null);
+    this.drainQueue();
   }
 
-  handleWorkerError(error) {
-    console.warn('Worker error:', error.message);
+  replaceWorker(worker) {
+    clearTimeout(this.workers.get(worker)?.timeout);
+    worker.terminate();
+    this.workers.delete(worker);
+    this.rings.delete(worker);
+    this.metrics.replaced++;
+
+    // The replacement starts on demand for the next queued task
+    this.drainQueue();
+  }
+
+  drainQueue() {
+    while (this.queue.length > 0) {
+      const worker = this.getAvailableWorker();
+      if (worker) {
+        this.dispatch(worker, this.queue.shift());
+      } else if (this.workers.size === 0) {
+        // Replacements cannot be started; settle what is waiting instead
+        this.runFallback(this.queue.shift());
+      } else {
+        return;
+      }
+    }
+  }
+
+  runFallback(task) {
+    const handler = this.config.fallback[task.type];
+    if (!handler) {
+      this.metrics.dropped++;
+      this.settle(task, new Error(`No main-thread fallback for "${task.type}" tasks`));
+      return;
+    }
+
+    this.metrics.fallbacks++;
+    try {
+      this.settle(task, null, handler(task.payload));
+    } catch (error) {
+      this.settle(task, error);
+    }
+  }
+
+  getMetrics() {
+    const busy = [...this.workers.values()].filter(Boolean).length;
+    return {
+      transport: this.transport,
+      workers: this.workers.size,
+      maxWorkers: this.maxWorkers,
+      busy,
+      queued: this.queue.length,
+      ...this.metrics
+    };
   }
 
   destroy() {
-    for (const worker of this.workers.keys()) {
+    const reason = new DOMException('Worker manager destroyed', 'AbortError');
+    for (const [worker, task] of this.workers) {
+      if (task) {
+        clearTimeout(task.timeout);
+        this.settle(task, reason);
+      }
       worker.terminate();
     }
+    for (const task of this.queue) {
+      this.settle(task, reason);
+    }
     this.workers.clear();
-    this.workerPool = [];
+    this.rings.clear();
+    this.queue = [];
+
+    if (this.scriptUrl) URL.revokeObjectURL(this.scriptUrl);
+    this.scriptUrl = null;
   }
 }
 
@@ -305,48 +637,69 @@ class SmartCircuitBreaker {
     };
 
     this.state = 'CLOSED';
+    this.onStateChange = null;
     this.failures = [];
     this.successes = [];
     this.errorPatterns = new Map();
-    this.abortController = new AbortController();
+    this.timeouts = new Set();
   }
 
   async execute(operation, context = {}) {
-    if (this.state === 'OPEN') {
-      if (this.shouldAttemptRecovery()) {
-        this.state = 'HALF_OPEN';
-      } else {
-        return this.executeGracefulFallback(context);
-      }
+    if (!this.allowRequest()) {
+      return this.executeGracefulFallback(context);
     }
 
     const startTime = performance.now();
     
+    const timeout = this.createTimeoutPromise(5000);
+    
     try {
       const result = await Promise.race([
         operation(),
-        this.createTimeoutPromise(5000)
+        timeout
       ]);
       
       this.recordSuccess(performance.now() - startTime);
       return result;
     } catch (error) {
+      // Cancellation is the caller's decision, not a failure
+      if (error?.name === 'AbortError') throw error;
+
       this.recordFailure(error, performance.now() - startTime);
       return this.executeGracefulFallback(context, error);
+    } finally {
+      // A pending timer would keep server processes alive
+      timeout.cancel();
     }
   }
 
+  allowRequest() {
+    if (this.state !== 'OPEN') return true;
+    if (!this.shouldAttemptRecovery()) return false;
+
+    // Let a probe through; its outcome closes or reopens the circuit
+    this.setState('HALF_OPEN');
+    return true;
+  }
+
   createTimeoutPromise(timeout) {
-    return new Promise((_, reject) => {
-      const timeoutId = setTimeout(() => {
+    let timeoutId;
+    const cancel = () => {
+      clearTimeout(timeoutId);
+      this.timeouts.delete(cancel);
+    };
+
+    const promise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        this.timeouts.delete(cancel);
         reject(new Error(`Operation timeout after ${timeout}ms`));
       }, timeout);
-
-      // Clean up timeout if operation completes
-      this.abortController.signal.addEventListener('abort', () => {
-        clearTimeout(timeoutId);
-      });
     });
+
+    // Cleared in destroy() if the breaker is torn down first
+    this.timeouts.add(cancel);
+    promise.cancel = cancel;
+    return promise;
   }
 
   recordSuccess(duration) {
@@ -355,8 +708,8 @@ class SmartCircuitBreaker {
 
     if (this.state === 'HALF_OPEN') {
       if (this.successes.length >= this.config.successThreshold) {
-        this.state = 'CLOSED';
-        console.log('🟢 Circuit breaker closed - system recovered');
+        this.setState('CLOSED');
+        console.log(`🟢 Circuit breaker${this.config.name ? ` "${this.config.name}"` : ''} closed - recovered`);
       }
     }
   }
@@ -373,7 +726,8 @@ class SmartCircuitBreaker {
     this.analyzeErrorPattern(failure);
     this.cleanupOldRecords();
 
-    if (this.shouldOpenCircuit()) {
+    // A failed half-open probe reopens immediately
+    if (this.state === 'HALF_OPEN' || this.shouldOpenCircuit()) {
       this.openCircuit();
     }
   }
@@ -408,9 +762,17 @@ class SmartCircuitBreaker {
   }
 
   openCircuit() {
-    this.state = 'OPEN';
+    this.setState('OPEN');
     this.successes = [];
-    console.warn('🔴 Circuit breaker opened');
+    console.warn(`🔴 Circuit breaker${this.config.name ? ` "${this.config.name}"` : ''} opened`);
+  }
+
+  setState(state) {
+    const previous = this.state;
+    if (previous === state) return;
+
+    this.state = state;
+    this.onStateChange?.(state, previous);
   }
 
   executeGracefulFallback(context, error = null) {
@@ -442,23 +804,52 @@ class SmartCircuitBreaker {
   }
 
   destroy() {
-    this.abortController.abort();
+    for (const cancel of this.timeouts) cancel();
   }
 }
 
 // Main optimized resize system
-export class UltraStableResizeSystemV2 {
+export class UltraStableResizeSystemV2 extends EventTarget {
   constructor(options = {}) {
+    super();
+
     this.config = {
       throttleRate: 0.98,
+      throttleMode: 'coalesce',
       performanceBudget: 16,
       maxCacheSize: 1000,
       enableGPU: true,
       enableWorkers: true,
       adaptiveLearning: true,
+      reflect: false,
+      autoDiscover: false,
+      ssr: isServer,
+      hints: {},
+      history: false,
+      stateHistorySize: 10,
+      maxDegraded: 100,
+      backendTimeout: 2000,
       ...options
     };
 
+    // Offscreen policy: 'idle' (background priority), 'suspend' or 'none'
+    this.config.visibility = {
+      policy: 'idle',
+      threshold: [0, 0.1, 0.5, 1.0],
+      rootMargin: '50px',
+      ...options.visibility
+    };
+
+    this.config.workers = {
+      maxWorkers: 'auto',
+      poolSize: 4,
+      timeoutMs: 5000,
+      maxQueue: 64,
+      overflow: 'reject',
+      enableTransferables: true,
+      ...options.workers
+    };
+
     // Performance-first initialization
     this.cache = {
       geometry: new WeakRefCache(this.config.maxCacheSize),
@@ -466,35 +857,121 @@ export class UltraStableResizeSystemV2 {
       breakpoints: new WeakRefCache(this.config.maxCacheSize)
     };
 
-    this.gpuProcessor = this.config.enableGPU ? new GPUProcessor() : null;
-    this.workerManager = this.config.enableWorkers ? new WorkerManager() : null;
+    // Server rendering never measures, so GPU and workers are never started
+    const { ssr } = this.config;
+    this.gpuProcessor = this.config.enableGPU && !ssr ? new GPUProcessor() : null;
+    this.workerManager = this.config.enableWorkers && !ssr
+      ? new WorkerManager(GEOMETRY_WORKER_SCRIPT, { ...this.config.workers, fallback: GEOMETRY_HANDLERS })
+      : null;
     this.circuitBreaker = new SmartCircuitBreaker(this.config);
+    this.breakpointEngine = new BreakpointEngine(this.cache.breakpoints);
+    this.loopDetector = new LoopDetector(this.config.loopDetection);
+    this.resizeLoops = [];
+
+    // Measurement backends; registrations of one frame are measured as a batch.
+    // Each backend gets its own breaker so a failing one is routed around.
+    this.backends = new BackendRegistry({
+      timeoutMs: this.config.backendTimeout,
+      createBreaker: (name) => {
+        const breaker = new SmartCircuitBreaker({
+          failureThreshold: 2,
+          recoveryTimeout: 30000,
+          successThreshold: 1,
+          ...this.config.backendBreaker,
+          name
+        });
+        breaker.onStateChange = (state, previous) => {
+          this.emit(ResizeSystemEvents.BACKEND_STATE_CHANGE, { backend: name, state, previous });
+        };
+        return breaker;
+      }
+    });
+    this.registerDefaultBackends();
+    this.measureQueue = new Set();
+    this.measureScheduled = false;
+
+    // System-level state as immutable snapshots; observers stay the source of truth.
+    // Element collections are derived on read, so the store never references elements.
+    this.stateStore = new StateStore({}, { historySize: this.config.stateHistorySize });
+    this.stateSnapshot = null;
+    this.stateViews = new WeakMap();
+    this.degraded = new Set();
+
+    // Surface internal state changes as events
+    this.circuitBreaker.onStateChange = (state, previous) => {
+      this.emit(ResizeSystemEvents.CIRCUIT_STATE_CHANGE, { state, previous });
+    };
+    for (const [name, cache] of Object.entries(this.cache)) {
+      cache.onEvict = (key, reason) => {
+        this.emit(ResizeSystemEvents.CACHE_EVICT, { cache: name, key, reason });
+      };
+    }
+
+    this.loopDetector.onDetect = (element, type) => {
+      this.reportResizeLoop(element, type);
+    };
+    this.loopDetector.onRelease = (element, entry) => {
+      // Deliver the size the element settled on while it was damped
+      this.processResizeEntries([entry]);
+      this.scheduleReflectedStyles();
+    };
     
     this.abortController = new AbortController();
     this.observers = new WeakMap();
+    this.resizeObservers = new Map();
+    this.intersectionObservers = new Map();
+    this.offscreenPending = new Set();
+    this.offscreenFlushScheduled = false;
+    this.registry = new WeakMap();
     this.elements = new Set();
+    this.registering = new WeakSet();   // Registrations still in flight
+    this.groups = new Map();
+    this.pendingResizes = new Map();
+    this.pendingStyleWrites = new Map();
+    this.resizeFlushScheduled = false;
+    this.styleWritesScheduled = false;
+
+    // Reads and writes of every element share one frame, never interleaving
+    this.frameScheduler = new FrameScheduler();
+    this.frameHelpers = Object.freeze({
+      read: (task) => this.frameScheduler.read(task),
+      write: (task) => this.frameScheduler.write(task)
+    });
     
     this.metrics = {
       processedElements: 0,
+      coalescedResizes: 0,
+      deferredResizes: 0,
+      offscreenResizes: 0,
+      hintsConfirmed: 0,
+      hintsCorrected: 0,
+      suppressedEvents: 0,
+      suppressedBreakpointChanges: 0,
+      resizeLoops: 0,
+      undeliveredNotifications: 0,
       cacheHitRate: 0,
       avgProcessTime: 0,
       gpuAccelerated: 0,
       workerProcessed: 0
     };
 
-    this.initialize();
+    // Known synchronously so callers can branch before initialization settles
+    this.capabilities = this.detectCapabilities();
+    this.ready = this.initialize();
   }
 
   async initialize() {
     try {
-      // Detect platform capabilities
-      this.capabilities = await this.detectCapabilities();
-      
       // Setup performance monitoring
       this.setupPerformanceMonitoring();
       
       // Initialize observers
       this.setupObservers();
+
+      if (this.config.autoDiscover) {
+        const options = this.config.autoDiscover === true ? {} : this.config.autoDiscover;
+        this.discover(options.root, options);
+      }
       
       console.log('✅ UltraStableResizeSystemV2 initialized with capabilities:', 
                   Object.keys(this.capabilities).filter(k => this.capabilities[k]));
@@ -504,7 +981,7 @@ export class UltraStableResizeSystemV2 {
     }
   }
 
-  async detectCapabilities() {
+  detectCapabilities() {
     return {
       resizeObserver: typeof ResizeObserver !== 'undefined',
       intersectionObserver: typeof IntersectionObserver !== 'undefined',
@@ -513,38 +990,133 @@ export class UltraStableResizeSystemV2 {
       offscreenCanvas: typeof OffscreenCanvas !== 'undefined',
       webGL: this.gpuProcessor?.isSupported || false,
       workers: this.workerManager?.isSupported || false,
+      sharedMemory: GeometryRingBuffer.isSharedSupported(),
       weakRef: typeof WeakRef !== 'undefined',
       abortController: typeof AbortController !== 'undefined'
     };
   }
 
   setupPerformanceMonitoring() {
-    if (this.capabilities.scheduler || this.capabilities.requestIdleCallback) {
-      // Monitor cache performance periodically
-      scheduler(() => {
-        this.updateCacheMetrics();
-        this.optimizeCache();
-      }, { priority: 'background', delay: 10000 });
-    }
+    // Long-lived timers would keep server render processes alive
+    if (this.config.ssr) return;
+
+    // Monitor cache performance periodically
+    this.scheduleTask(() => {
+      this.updateCacheMetrics();
+      this.optimizeCache();
+    }, { priority: 'background', delay: 10000 });
   }
 
   setupObservers() {
-    // Enhanced intersection observer for visibility optimization
-    if (this.capabilities.intersectionObserver) {
-      this.intersectionObserver = new IntersectionObserver(
-        this.handleVisibilityChange.bind(this),
-        { 
-          threshold: [0, 0.1, 0.5, 1.0],
-          rootMargin: '50px'
+    // Intersection observers are created per visibility option set on demand
+
+    // The browser reports undelivered notifications as a global error
+    globalThis.addEventListener?.('error', (event) => {
+      if (/ResizeObserver loop/.test(event.message)) {
+        this.metrics.undeliveredNotifications++;
+      }
+    }, { signal: this.abortController.signal });
+  }
+
+  emit(type, detail) {
+    return this.dispatchEvent(new ResizeSystemEvent(type, detail));
+  }
+
+  async registerElement(element, config = {}) {
+    const { signal } = config;
+    if (signal?.aborted) throw signal.reason;
+
+    // One owner per element: a second handle's dispose() would unregister it for both
+    if (this.registry.has(element) || this.registering.has(element)) {
+      throw new Error('Element is already registered');
+    }
+
+    this.registering.add(element);
+    let result;
+    try {
+      result = await this.circuitBreaker.execute(async () => {
+        return this.safeRegisterElement(element, config);
+      }, { element, config });
+    } finally {
+      this.registering.delete(element);
+    }
+
+    if (result?.mode === 'degraded') {
+      this.reportDegraded(element, result);
+    }
+
+    // Aborting after registration tears it down like dispose(); degraded ones have nothing to tear down
+    const registration = this.registry.get(element);
+    const handle = new RegistrationHandle(this, element, result, registration ? signal : null);
+    if (registration) registration.handle = handle;
+
+    return handle;
+  }
+
+  reportDegraded(element, result) {
+    // Only the most recent degraded elements are kept, so detached ones are released
+    this.degraded.delete(element);
+    this.degraded.add(element);
+    for (const oldest of this.degraded) {
+      if (this.degraded.size <= this.config.maxDegraded) break;
+      this.degraded.delete(oldest);
+    }
+    this.invalidateState();
+    this.emit(ResizeSystemEvents.DEGRADED, {
+      element,
+      error: result.error,
+      context: result.context
+    });
+  }
+
+  observe(element, options = {}) {
+    const { buffer, highWaterMark, signal, ...config } = options;
+    const stream = new GeometryStream(this, element, { buffer, highWaterMark, signal });
+
+    const registration = this.registry.get(element);
+    if (registration) {
+      // Start from the last known size instead of waiting for the next change
+      if (registration.geometry) stream.push(registration.geometry);
+    } else if (!this.registering.has(element)) {
+      // The stream owns this registration: closing it (return(), break, abort) unregisters
+      this.registerElement(element, { ...config, signal: stream.controller.signal }).then((result) => {
+        if (result?.mode === 'degraded') stream.close();
+      }).catch((error) => {
+        // Nothing awaits the registration; the stream ends instead
+        stream.close();
+        if (error?.name !== 'AbortError') {
+          console.error('Stream registration failed:', error);
         }
-      );
+      });
     }
+
+    return stream;
   }
 
-  async registerElement(element, config = {}) {
-    return this.circuitBreaker.execute(async () => {
-      return this.safeRegisterElement(element, config);
-    }, { element, config });
+  observeStream(element, options = {}) {
+    return this.observe(element, options).toReadableStream();
+  }
+
+  async createGroup(name, elements = [], options = {}) {
+    if (this.groups.has(name)) {
+      throw new Error(`Group "${name}" already exists`);
+    }
+
+    const group = new ElementGroup(this, name, options);
+    this.groups.set(name, group);
+
+    await Promise.all([...elements].map(element => group.add(element)));
+    return group;
+  }
+
+  getGroup(name) {
+    return this.groups.get(name) ?? null;
+  }
+
+  discover(root = globalThis.document, options = {}) {
+    this.discovery?.stop();
+    this.discovery = new ElementDiscovery(this, { ...options, root }).start();
+    return this.discovery;
   }
 
   async safeRegisterElement(element, config) {
@@ -552,25 +1124,23 @@ export class UltraStableResizeSystemV2 {
       throw new Error('Invalid element provided');
     }
 
+    // Reject malformed breakpoints now rather than inside a later frame
+    this.breakpointEngine.getDescriptors(config);
+
+    // Initialization finishes asynchronously; destroy() may have run meanwhile
+    await this.ready;
+    if (this.abortController.signal.aborted) throw this.abortController.signal.reason;
+
     const startTime = performance.now();
     
     try {
-      // Check cache first
-      const cachedData = this.cache.geometry.get(element);
-      if (cachedData && this.isCacheValid(cachedData)) {
-        this.metrics.processedElements++;
-        return cachedData;
-      }
+      // The observer's initial notification can deliver the first size instead
+      const result = config.measure === false
+        ? { success: true, method: 'observer', data: null, element }
+        : await this.measureElement(element, config);
 
-      // Process with best available method
-      let result;
-      if (this.gpuProcessor?.isSupported && config.enableGPU !== false) {
-        result = await this.processWithGPU(element, config);
-      } else if (this.workerManager?.isSupported && config.enableWorkers !== false) {
-        result = await this.processWithWorker(element, config);
-      } else {
-        result = await this.processWithCPU(element, config);
-      }
+      // Aborted while processing: never start observing
+      if (config.signal?.aborted) throw config.signal.reason;
 
       // Cache the result
       this.cache.geometry.set(element, {
@@ -588,141 +1158,602 @@ export class UltraStableResizeSystemV2 {
       
       return result;
     } catch (error) {
-      console.error('Element registration failed:', error);
+      if (error?.name !== 'AbortError') {
+        console.error('Element registration failed:', error);
+      }
       throw error;
     }
   }
 
-  async processWithGPU(element, config) {
-    const geometries = this.gpuProcessor.processGeometry([element]);
-    if (geometries) {
-      this.metrics.gpuAccelerated++;
-      return {
-        success: true,
-        method: 'gpu',
-        data: geometries[0],
-        element
+  registerBackend(backend) {
+    this.backends.register(backend);
+    return this;
+  }
+
+  registerDefaultBackends() {
+    this.backends.register({
+      name: 'gpu',
+      probe: () => !!this.gpuProcessor?.isSupported,
+      estimate: count => 2 + count * 0.005,
+      measure: (elements) => {
+        const geometries = this.gpuProcessor.processGeometry(elements);
+        if (!geometries) throw new Error('GPU processing failed');
+
+        this.metrics.gpuAccelerated += elements.length;
+        return geometries;
+      }
+    });
+
+    this.backends.register({
+      name: 'worker',
+      probe: () => !!this.workerManager?.isSupported,
+      estimate: count => 4 + count * 0.002,
+      measure: async (elements, { signal, descriptors }) => {
+        // Plain rects are read synchronously, inside the read phase
+        const rects = elements.map(element => toPlainRect(element.getBoundingClientRect()));
+
+        // Each distinct breakpoint list is sent once
+        const definitions = [...new Set(descriptors.filter(list => list.length > 0))];
+        const assignments = descriptors.map(list => definitions.indexOf(list));
+
+        const { results } = await this.workerManager.request(
+          'geometry',
+          { rects, definitions, assignments },
+          signal
+        );
+
+        this.metrics.workerProcessed += elements.length;
+        return rects.map((rect, index) => ({ ...rect, ...results[index] }));
+      }
+    });
+
+    this.backends.register({
+      name: 'cpu',
+      probe: () => true,
+      estimate: count => 0.5 + count * 0.02,
+      measure: elements => elements.map(element => element.getBoundingClientRect())
+    });
+  }
+
+  measureElement(element, config) {
+    const { signal } = config;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      // Settling detaches from the signal, which may outlive the registration
+      const request = { element, config, signal, onAbort: null, onBatchAbort: null };
+      request.resolve = (value) => {
+        signal?.removeEventListener('abort', request.onAbort);
+        resolve(value);
       };
-    }
-    
-    // Fallback to CPU
-    return this.processWithCPU(element, config);
-  }
-
-  async processWithWorker(element, config) {
-    const workerScript = `
-      self.onmessage = function(event) {
-        const { element, config } = event.data;
-        
-        // Simulate heavy computation
-        const result = {
-          processed: true,
-          method: 'worker',
-          timestamp: Date.now()
-        };
-        
-        self.postMessage(result);
+      request.reject = (error) => {
+        signal?.removeEventListener('abort', request.onAbort);
+        reject(error);
       };
-    `;
+      request.onAbort = () => {
+        this.measureQueue.delete(request);
+        request.onBatchAbort?.();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', request.onAbort, { once: true });
 
+      this.measureQueue.add(request);
+      if (!this.measureScheduled) {
+        this.measureScheduled = true;
+        this.runInFramePhase('read', () => this.flushMeasurements());
+      }
+    });
+  }
+
+  flushMeasurements() {
+    this.measureScheduled = false;
+
+    // Registrations of a frame share a batch unless their backend options differ
+    const batches = new Map();
+    for (const request of this.measureQueue) {
+      const { backend, enableGPU, enableWorkers } = request.config;
+      const key = `${backend ?? '*'}|${enableGPU !== false}|${enableWorkers !== false}`;
+      if (!batches.has(key)) batches.set(key, []);
+      batches.get(key).push(request);
+    }
+    this.measureQueue.clear();
+
+    for (const requests of batches.values()) {
+      this.measureBatch(requests);
+    }
+  }
+
+  async measureBatch(requests) {
+    const { backend: only = null, enableGPU, enableWorkers } = requests[0].config;
+    const exclude = [];
+    if (enableGPU === false) exclude.push('gpu');
+    if (enableWorkers === false) exclude.push('worker');
+
+    const batch = this.createBatchSignal(requests);
     try {
-      const result = await this.workerManager.processInWorker(
-        { element: this.serializeElement(element), config },
-        workerScript
+      const { backend, measurements } = await this.backends.run(
+        requests.map(request => request.element),
+        {
+          signal: batch.signal,
+          descriptors: requests.map(request => this.breakpointEngine.getDescriptors(request.config))
+        },
+        { only, exclude }
       );
-      
-      this.metrics.workerProcessed++;
-      return {
+
+      requests.forEach((request, index) => request.resolve({
         success: true,
-        method: 'worker',
-        data: result,
-        element
-      };
+        method: backend,
+        data: measurements[index],
+        element: request.element
+      }));
     } catch (error) {
-      console.warn('Worker processing failed, falling back to CPU');
-      return this.processWithCPU(element, config);
-    }
-  }
-
-  async processWithCPU(element, config) {
-    // Optimized CPU processing with requestAnimationFrame batching
-    return new Promise(resolve => {
-      requestAnimationFrame(() => {
-        const rect = element.getBoundingClientRect();
-        const styles = getComputedStyle(element);
-        
-        resolve({
-          success: true,
-          method: 'cpu',
-          data: {
-            geometry: rect,
-            styles: {
-              display: styles.display,
-              visibility: styles.visibility,
-              position: styles.position
-            }
-          },
-          element
-        });
-      });
-    });
+      for (const request of requests) request.reject(error);
+    } finally {
+      batch.dispose();
+    }
+  }
+
+  createBatchSignal(requests) {
+    // Backend work is cancelled once every registration in the batch is aborted, or on destroy
+    const controller = new AbortController();
+    const system = this.abortController.signal;
+    const onDestroy = () => controller.abort(system.reason);
+    system.addEventListener('abort', onDestroy, { once: true });
+
+    let pending = requests.length;
+    for (const request of requests) {
+      request.onBatchAbort = () => {
+        pending--;
+        if (pending === 0) controller.abort(request.signal.reason);
+      };
+    }
+
+    return {
+      signal: controller.signal,
+      dispose: () => system.removeEventListener('abort', onDestroy)
+    };
   }
 
   setupElementObserver(element, config) {
     if (!this.capabilities.resizeObserver) return;
 
-    const observer = new ResizeObserver(entries => {
-      this.handleResize(entries, config);
+    const box = config.box || 'content-box';
+    if (!BOX_SIZE_FIELDS[box]) {
+      throw new TypeError(`Unsupported box option: ${box}`);
+    }
+
+    const visibility = { ...this.config.visibility, ...config.visibility };
+    const history = config.history ?? this.config.history;
+
+    // Per-element config lives in the registry, not in observer closures
+    this.registry.set(element, {
+      config,
+      visibility,
+      isVisible: null,
+      pendingEntry: null,
+      history: history ? new GeometryHistory(history === true ? {} : history) : null
     });
 
-    observer.observe(element);
-    this.observers.set(element, observer);
+    this.observeBox(element, box);
     this.elements.add(element);
 
-    // Also observe visibility if available
-    if (this.intersectionObserver) {
-      this.intersectionObserver.observe(element);
+    this.degraded.delete(element);
+    this.invalidateState();
+
+    this.applyServerHint(element, config);
+    this.observeVisibility(element);
+  }
+
+  observeBox(element, box) {
+    let observer = this.getSharedObserver(box);
+    try {
+      observer.observe(element, { box });
+    } catch (error) {
+      // Engines without device-pixel-content-box: sizes are scaled from content-box
+      observer = this.getSharedObserver('content-box');
+      observer.observe(element, { box: 'content-box' });
+    }
+    this.observers.set(element, observer);
+  }
+
+  observeVisibility(element) {
+    const registration = this.registry.get(element);
+    if (!this.capabilities.intersectionObserver || registration.visibility.policy === 'none') {
+      return;
+    }
+
+    const intersectionObserver = this.getIntersectionObserver(registration.visibility);
+    intersectionObserver.observe(element);
+    registration.intersectionObserver = intersectionObserver;
+  }
+
+  reconfigureElement(element, changes) {
+    const registration = this.registry.get(element);
+    if (!registration) {
+      throw new Error('Element is not registered');
+    }
+
+    const config = { ...registration.config, ...changes };
+
+    // Validate before anything is torn down
+    this.breakpointEngine.getDescriptors(config);
+    if (config.box && !BOX_SIZE_FIELDS[config.box]) {
+      throw new TypeError(`Unsupported box option: ${config.box}`);
+    }
+
+    const previous = registration.config;
+    this.applyElementConfig(element, config);
+
+    // Each snapshot records the reconfiguration that produced it; rollback undoes them
+    this.updateState({ reconfiguration: { target: new WeakRef(element), previous } });
+    return config;
+  }
+
+  applyElementConfig(element, config) {
+    const registration = this.registry.get(element);
+    const previous = registration.config;
+    registration.config = config;
+    this.invalidateState();
+
+    // Box and visibility are observer options: observe again with the new ones
+    const box = config.box || 'content-box';
+    if (box !== (previous.box || 'content-box')) {
+      this.observers.get(element)?.unobserve(element);
+      this.observeBox(element, box);
+    }
+
+    if (config.visibility !== previous.visibility) {
+      registration.intersectionObserver?.unobserve(element);
+      registration.intersectionObserver = null;
+      registration.visibility = { ...this.config.visibility, ...config.visibility };
+      registration.isVisible = null;
+      this.observeVisibility(element);
+
+      // A size held back under the old policy is delivered now
+      if (registration.pendingEntry) {
+        const entry = registration.pendingEntry;
+        registration.pendingEntry = null;
+        this.offscreenPending.delete(element);
+        this.processResizeEntries([entry]);
+      }
+    }
+
+    const reflect = config.reflect ?? this.config.reflect;
+    if (!reflect && registration.reflected) {
+      this.pendingStyleWrites.delete(element);
+      this.clearReflectedStyles(element);
+      registration.reflected = null;
+    }
+
+    // Re-resolve the last known size against the new breakpoint definitions
+    if (registration.geometry && (config.breakpoints !== previous.breakpoints ||
+        config.breakpointAxis !== previous.breakpointAxis ||
+        config.hysteresis !== previous.hysteresis)) {
+      registration.geometry = { ...registration.geometry };
+      this.updateElementBreakpoint(element, registration.geometry, config);
+    }
+
+    if (reflect && registration.geometry) {
+      this.pendingStyleWrites.set(element, registration.geometry);
+      this.scheduleReflectedStyles();
+    }
+  }
+
+  getIntersectionObserver({ threshold, rootMargin }) {
+    const key = `${rootMargin}|${[].concat(threshold).join(',')}`;
+    let observer = this.intersectionObservers.get(key);
+
+    if (!observer) {
+      // Shared by every registration with the same threshold and rootMargin
+      observer = new IntersectionObserver(
+        this.handleVisibilityChange.bind(this),
+        { threshold, rootMargin }
+      );
+      this.intersectionObservers.set(key, observer);
+    }
+
+    return observer;
+  }
+
+  applyServerHint(element, config) {
+    const hint = config.hint ?? (element.id ? this.config.hints[element.id] : undefined);
+    if (!hint) return;
+
+    const registration = this.registry.get(element);
+    registration.hint = hint;
+
+    // Seed state silently; the first real measurement reconciles it
+    if (Number.isFinite(hint.width) && Number.isFinite(hint.height)) {
+      const geometry = {
+        width: hint.width,
+        height: hint.height,
+        hinted: true,
+        timestamp: Date.now()
+      };
+      if (config.breakpoints) {
+        const { next } = this.breakpointEngine.update(element, geometry, config);
+        geometry.breakpoint = next?.name ?? null;
+      }
+      registration.geometry = geometry;
+    } else if (hint.breakpoint !== undefined && config.breakpoints) {
+      this.breakpointEngine.seed(element, hint.breakpoint, config);
+    }
+  }
+
+  resolveBreakpoint(size, config) {
+    // Usable on the server to render the markup for an expected size
+    return BreakpointEngine.match(size, this.breakpointEngine.getDescriptors(config));
+  }
+
+  getSharedObserver(box) {
+    let observer = this.resizeObservers.get(box);
+    
+    if (!observer) {
+      // One observer per box type multiplexes every registered element
+      observer = new ResizeObserver(entries => this.handleResize(entries));
+      this.resizeObservers.set(box, observer);
+    }
+    
+    return observer;
+  }
+
+  unregisterElement(element) {
+    if (!this.elements.has(element)) return false;
+
+    const registration = this.registry.get(element);
+
+    // Unregistered elsewhere: the handle lets go of its abort signal too
+    registration?.handle?.release();
+    this.observers.get(element)?.unobserve(element);
+    this.observers.delete(element);
+    registration?.intersectionObserver?.unobserve(element);
+    this.offscreenPending.delete(element);
+
+    if (registration?.reflected) {
+      this.clearReflectedStyles(element);
+    }
+
+    // Drop every reference so the element can be garbage collected
+    this.elements.delete(element);
+    this.registry.delete(element);
+    this.pendingStyleWrites.delete(element);
+    this.pendingResizes.delete(element);
+    this.cache.geometry.delete(element);
+    this.cache.styles.delete(element);
+    this.breakpointEngine.forget(element);
+    this.loopDetector.forget(element);
+    this.resizeLoops = this.resizeLoops.filter(incident => incident.element !== element);
+
+    this.invalidateState();
+
+    this.emit(ResizeSystemEvents.UNREGISTER, { element });
+    return true;
+  }
+
+  handleResize(entries) {
+    if (this.config.throttleMode !== 'coalesce') {
+      // One scheduled task per observer delivery, however many elements it carries
+      this.scheduleTask(() => {
+        this.processResizeEntries(entries);
+        this.scheduleReflectedStyles();
+      }, { priority: 'user-visible' });
+      return;
+    }
+
+    // Keep only the latest entry per element until the next frame
+    for (const entry of entries) {
+      if (this.pendingResizes.has(entry.target)) {
+        this.metrics.coalescedResizes++;
+      }
+      this.pendingResizes.set(entry.target, entry);
+    }
+    this.scheduleResizeFlush();
+  }
+
+  scheduleResizeFlush(options) {
+    if (this.resizeFlushScheduled) return;
+    this.resizeFlushScheduled = true;
+
+    // Entries carry their sizes; callbacks reading layout join the same read phase
+    this.runInFramePhase('read', () => {
+      this.resizeFlushScheduled = false;
+      this.flushPendingResizes();
+    }, options);
+  }
+
+  scheduleReflectedStyles() {
+    if (this.styleWritesScheduled || this.pendingStyleWrites.size === 0) return;
+    this.styleWritesScheduled = true;
+
+    this.runInFramePhase('write', () => {
+      this.styleWritesScheduled = false;
+      this.flushReflectedStyles();
+    });
+  }
+
+  scheduleTask(task, options) {
+    // Tasks are aborted with the system on destroy()
+    return scheduler.postTask(task, { signal: this.abortController.signal, ...options })
+      .catch((error) => {
+        if (error?.name !== 'AbortError') {
+          console.error('Scheduled task failed:', error);
+        }
+      });
+  }
+
+  runInFramePhase(phase, task, options) {
+    this.frameScheduler[phase](task, options).catch((error) => {
+      // Teardown rejects queued work; nothing is waiting on it
+      if (error?.name !== 'AbortError') {
+        console.error('Frame task failed:', error);
+      }
+    });
+  }
+
+  flushPendingResizes() {
+    const entries = [...this.pendingResizes.values()].sort((a, b) =>
+      this.getPriorityRank(a.target) - this.getPriorityRank(b.target));
+    this.pendingResizes.clear();
+
+    const deferred = this.processResizeEntries(entries);
+    this.scheduleReflectedStyles();
+    
+    // Entries over budget are delayed, never dropped, so the settled size always lands
+    for (const entry of deferred) {
+      this.pendingResizes.set(entry.target, entry);
+    }
+    
+    if (deferred.length > 0) {
+      this.metrics.deferredResizes += deferred.length;
+      this.scheduleResizeFlush({ nextFrame: true });
     }
   }
 
-  handleResize(entries, config) {
-    // Use scheduler for better performance
-    scheduler(() => {
-      this.processResizeEntries(entries, config);
-    }, { priority: 'user-visible' });
+  getPriorityRank(element) {
+    const priority = this.registry.get(element)?.config.priority;
+    return PRIORITY_ORDER[priority] ?? PRIORITY_ORDER['user-visible'];
   }
 
-  processResizeEntries(entries, config) {
+  processResizeEntries(entries, { offscreen = false } = {}) {
     const startTime = performance.now();
+    const coalesce = this.config.throttleMode === 'coalesce';
+    let processed = 0;
     
     for (const entry of entries) {
+      // Stop once the frame budget is spent; the caller defers the rest
+      if (coalesce && processed > 0 &&
+          performance.now() - startTime >= this.config.performanceBudget) {
+        break;
+      }
+      processed++;
+
       const element = entry.target;
+      const registration = this.registry.get(element);
+
+      // Unregistered between delivery and processing
+      if (!registration) continue;
+
+      // Offscreen elements keep only their latest entry until idle time or re-entry
+      if (!offscreen && this.deferOffscreenResize(registration, entry)) continue;
       
       // Invalidate cache
       this.cache.geometry.delete(element);
       
+      // Oscillating or runaway elements keep their last stable size
+      if (this.loopDetector.inspect(element, entry.contentRect, entry)) continue;
+      
       // Process with throttling
       if (this.shouldProcessResize()) {
-        this.updateElementGeometry(element, entry, config);
+        this.updateElementGeometry(element, entry, registration.config);
       }
     }
     
     const processTime = performance.now() - startTime;
     this.updateMetrics(processTime, 'resize');
+
+    return entries.slice(processed);
+  }
+
+  deferOffscreenResize(registration, entry) {
+    const { policy } = registration.visibility;
+    if (registration.isVisible !== false || policy === 'none') return false;
+
+    registration.pendingEntry = entry;
+    this.metrics.offscreenResizes++;
+
+    if (policy === 'idle') {
+      this.offscreenPending.add(entry.target);
+      this.scheduleOffscreenFlush();
+    }
+    return true;
+  }
+
+  scheduleOffscreenFlush() {
+    if (this.offscreenFlushScheduled) return;
+    this.offscreenFlushScheduled = true;
+
+    this.scheduleTask(() => {
+      this.offscreenFlushScheduled = false;
+      this.flushOffscreenResizes();
+    }, { priority: 'background' });
+  }
+
+  flushOffscreenResizes() {
+    const entries = [];
+    for (const element of this.offscreenPending) {
+      const registration = this.registry.get(element);
+      if (registration?.pendingEntry) {
+        entries.push(registration.pendingEntry);
+        registration.pendingEntry = null;
+      }
+    }
+    this.offscreenPending.clear();
+
+    const deferred = this.processResizeEntries(entries, { offscreen: true });
+    this.scheduleReflectedStyles();
+
+    // Over budget: retry the rest at the next idle period
+    for (const entry of deferred) {
+      const registration = this.registry.get(entry.target);
+      if (registration && !registration.pendingEntry) {
+        registration.pendingEntry = entry;
+        this.offscreenPending.add(entry.target);
+      }
+    }
+    if (this.offscreenPending.size > 0) {
+      this.scheduleOffscreenFlush();
+    }
   }
 
   shouldProcessResize() {
+    // Coalesced entries are already limited to one per element per frame
+    if (this.config.throttleMode === 'coalesce') return true;
+
     return Math.random() > this.config.throttleRate;
   }
 
   updateElementGeometry(element, entry, config) {
+    const box = config.box || 'content-box';
+    const { inlineSize, blockSize, approximate } = readBoxSize(entry, box);
+
     const geometry = {
       contentRect: entry.contentRect,
       borderBoxSize: entry.borderBoxSize,
       contentBoxSize: entry.contentBoxSize,
+      devicePixelContentBoxSize: entry.devicePixelContentBoxSize,
+      box,
+      inlineSize,
+      blockSize,
+      approximate,
+      width: entry.contentRect.width,
+      height: entry.contentRect.height,
       timestamp: Date.now()
     };
 
+    const registration = this.registry.get(element);
+    const confirmed = this.reconcileServerHint(registration, geometry);
+
+    // History sees every measurement, including ones minDelta suppresses
+    registration?.history?.push(geometry);
+
+    // Changes below minDelta keep the last delivered snapshot, so drift still accumulates
+    if (this.isBelowMinDelta(registration?.geometry, geometry, config.minDelta)) {
+      this.metrics.suppressedEvents++;
+      return;
+    }
+
+    // Resolve breakpoints before callbacks so they see the current one
+    if (config.breakpoints) {
+      this.updateElementBreakpoint(element, geometry, config);
+    }
+
+    // Keep the latest snapshot with the registration
+    if (registration) registration.geometry = geometry;
+
     // Cache the new geometry
     this.cache.geometry.set(element, {
       geometry,
@@ -730,41 +1761,259 @@ export class UltraStableResizeSystemV2 {
       timestamp: Date.now()
     });
 
+    if (config.reflect ?? this.config.reflect) {
+      this.pendingStyleWrites.set(element, geometry);
+    }
+
+    // The server guessed right: consumers already rendered this size
+    if (confirmed) return;
+
     // Trigger any configured callbacks
+    // read/write helpers keep callback DOM access inside the frame phases
     if (config.onResize) {
-      config.onResize(geometry, element);
+      config.onResize(geometry, element, this.frameHelpers);
     }
+
+    this.emit(ResizeSystemEvents.RESIZE, { element, geometry });
+  }
+
+  isBelowMinDelta(previous, geometry, minDelta) {
+    if (!previous || minDelta == null) return false;
+
+    const thresholds = typeof minDelta === 'object'
+      ? minDelta
+      : { width: minDelta, height: minDelta };
+
+    // Thresholds are pixels, or '5%' relative to the last delivered size
+    const exceeds = (axis) => {
+      const threshold = thresholds[axis] ?? 0;
+      const delta = Math.abs(geometry[axis] - previous[axis]);
+      const limit = typeof threshold === 'string' && threshold.endsWith('%')
+        ? previous[axis] * parseFloat(threshold) / 100
+        : Number(threshold);
+      return delta > 0 && delta >= limit;
+    };
+
+    return !exceeds('width') && !exceeds('height');
+  }
+
+  reconcileServerHint(registration, geometry) {
+    const hint = registration?.hint;
+    if (!hint) return false;
+
+    // Only the first real measurement is compared against the hint
+    registration.hint = null;
+
+    // Only the fields the server provided are compared
+    const checks = [];
+    if (Number.isFinite(hint.width)) checks.push(hint.width === geometry.width);
+    if (Number.isFinite(hint.height)) checks.push(hint.height === geometry.height);
+    if (hint.breakpoint !== undefined && registration.config.breakpoints) {
+      const resolved = this.resolveBreakpoint(geometry, registration.config)?.name ?? null;
+      checks.push(String(resolved) === String(hint.breakpoint));
+    }
+
+    const confirmed = checks.length > 0 && checks.every(Boolean);
+    if (confirmed) {
+      this.metrics.hintsConfirmed++;
+    } else {
+      this.metrics.hintsCorrected++;
+    }
+    return confirmed;
+  }
+
+  updateElementBreakpoint(element, geometry, config) {
+    const { next, previous, changed, held } = 
+      this.breakpointEngine.update(element, geometry, config);
+
+    geometry.breakpoint = next?.name ?? null;
+
+    if (held) {
+      this.metrics.suppressedBreakpointChanges++;
+    }
+
+    // Only crossings are reported, not every resize within a breakpoint
+    if (changed) {
+      // Crossings follow from sizes, not configuration, so they are not history
+      this.invalidateState();
+
+      config.onBreakpointChange?.(next, previous, element);
+      this.emit(ResizeSystemEvents.BREAKPOINT_CHANGE, {
+        element,
+        breakpoint: next,
+        previous
+      });
+    }
+  }
+
+  flushReflectedStyles() {
+    // Runs in the frame's write phase, after all entries have been read
+    for (const [element, geometry] of this.pendingStyleWrites) {
+      const registration = this.registry.get(element);
+      if (!registration) continue;
+
+      const { width, height, breakpoint } = geometry;
+      const previous = registration.reflected;
+
+      // Skip unchanged values to avoid needless style invalidation
+      if (previous?.width !== width) {
+        element.style.setProperty('--usrs-width', `${width}px`);
+      }
+      if (previous?.height !== height) {
+        element.style.setProperty('--usrs-height', `${height}px`);
+      }
+      if (previous?.width !== width || previous?.height !== height) {
+        const aspect = height > 0 ? Math.round((width / height) * 10000) / 10000 : 0;
+        element.style.setProperty('--usrs-aspect', String(aspect));
+      }
+      if (previous?.breakpoint !== breakpoint) {
+        if (breakpoint == null) {
+          element.removeAttribute('data-breakpoint');
+        } else {
+          element.setAttribute('data-breakpoint', String(breakpoint));
+        }
+      }
+
+      registration.reflected = { width, height, breakpoint };
+    }
+
+    this.pendingStyleWrites.clear();
+  }
+
+  clearReflectedStyles(element) {
+    element.style.removeProperty('--usrs-width');
+    element.style.removeProperty('--usrs-height');
+    element.style.removeProperty('--usrs-aspect');
+    element.removeAttribute('data-breakpoint');
+  }
+
+  reportResizeLoop(element, type) {
+    const callback = this.registry.get(element)?.config.onResize;
+    const incident = {
+      element,
+      type,
+      callback: callback?.name || 'anonymous',
+      timestamp: Date.now()
+    };
+
+    this.resizeLoops.push(incident);
+    if (this.resizeLoops.length > 20) this.resizeLoops.shift();
+    this.metrics.resizeLoops++;
+
+    console.warn(`⚠️ Resize ${type} detected, holding last stable size:`, element);
+    this.circuitBreaker.recordFailure(new ResizeLoopError(type, incident.callback), 0);
+  }
+
+  getElementInsights(element) {
+    const registration = this.registry.get(element);
+    if (!registration?.history) return null;
+
+    return {
+      ...registration.history.getInsights(),
+      geometry: registration.geometry ?? null,
+      breakpoint: this.getBreakpoint(element)
+    };
+  }
+
+  getBreakpoint(element) {
+    return this.breakpointEngine.getBreakpoint(element);
+  }
+
+  get state() {
+    const base = this.stateStore.state;
+    if (this.stateSnapshot?.base === base) return this.stateSnapshot.state;
+
+    // Built at most once per change, however many registrations or crossings it covers
+    const configs = new Map();
+    const breakpoints = new Map();
+    for (const element of this.elements) {
+      configs.set(element, this.registry.get(element).config);
+      if (this.breakpointEngine.active.has(element)) {
+        breakpoints.set(element, this.getBreakpoint(element)?.name ?? null);
+      }
+    }
+
+    const { reconfiguration, ...rest } = base;
+    const state = StateStore.freeze({
+      ...rest,
+      elements: this.elements,
+      configs,
+      breakpoints,
+      degraded: this.degraded
+    });
+    this.stateSnapshot = { base, state };
+    this.stateViews.set(base, new WeakRef(state));
+    return state;
+  }
+
+  get stateHistory() {
+    // History keeps no elements alive: a snapshot is only returned while someone still holds it
+    return this.stateStore.history.map(base => this.stateViews.get(base)?.deref() ?? base);
+  }
+
+  invalidateState() {
+    this.stateSnapshot = null;
+  }
+
+  updateState(patch, options) {
+    return this.stateStore.update(patch, options);
+  }
+
+  rollback(steps = 1) {
+    const { history } = this.stateStore;
+    const undone = [...history.slice(history.length - steps + 1), this.stateStore.state].reverse();
+    const target = this.stateStore.rollback(steps);
+
+    // Undo newer reconfigurations first, on elements that are still registered;
+    // registrations themselves are neither undone nor revived
+    const reconfigurations = new Set(undone.map(snapshot => snapshot.reconfiguration));
+    reconfigurations.delete(target.reconfiguration);
+    for (const reconfiguration of reconfigurations) {
+      const element = reconfiguration?.target.deref();
+      if (element && this.registry.has(element)) {
+        this.applyElementConfig(element, reconfiguration.previous);
+      }
+    }
+
+    return this.state;
   }
 
   handleVisibilityChange(entries) {
     for (const entry of entries) {
       const element = entry.target;
-      const isVisible = entry.isIntersecting;
+      const registration = this.registry.get(element);
+      if (!registration) continue;
+
+      // Visible once the smallest configured threshold is reached
+      const minThreshold = Math.min(...[].concat(registration.visibility.threshold));
+      const isVisible = entry.isIntersecting && entry.intersectionRatio >= minThreshold;
+
+      this.emit(ResizeSystemEvents.VISIBILITY_CHANGE, {
+        element,
+        isVisible,
+        intersectionRatio: entry.intersectionRatio
+      });
       
-      // Optimize processing based on visibility
-      if (!isVisible && this.observers.has(element)) {
-        // Reduce processing for non-visible elements
-        this.optimizeElementProcessing(element, false);
-      } else if (isVisible) {
-        // Full processing for visible elements
-        this.optimizeElementProcessing(element, true);
-      }
+      this.optimizeElementProcessing(element, isVisible);
     }
   }
 
   optimizeElementProcessing(element, isVisible) {
-    const cachedData = this.cache.geometry.get(element);
-    if (cachedData) {
-      cachedData.isVisible = isVisible;
-      cachedData.lastVisibilityUpdate = Date.now();
+    const registration = this.registry.get(element);
+    registration.isVisible = isVisible;
+    registration.lastVisibilityUpdate = Date.now();
+
+    // Back on screen: deliver the size reached while hidden right away
+    if (isVisible && registration.pendingEntry) {
+      const entry = registration.pendingEntry;
+      registration.pendingEntry = null;
+      this.offscreenPending.delete(element);
+
+      this.processResizeEntries([entry]);
+      this.scheduleReflectedStyles();
     }
   }
 
-  isCacheValid(cachedData, maxAge = 5000) {
-    return cachedData.timestamp && 
-           Date.now() - cachedData.timestamp < maxAge;
-  }
-
   updateCacheMetrics() {
     this.metrics.cacheHitRate = this.cache.geometry.getHitRate();
     
@@ -781,7 +2030,7 @@ export class UltraStableResizeSystemV2 {
     for (const [key, ref] of this.cache.geometry.entries()) {
       const value = ref.deref();
       if (!value || value.timestamp < cutoff) {
-        this.cache.geometry.delete(key);
+        this.cache.geometry.evict(key, value ? 'stale' : 'collected');
       }
     }
   }
@@ -792,15 +2041,6 @@ export class UltraStableResizeSystemV2 {
       (this.metrics.avgProcessTime + processTime) / 2;
   }
 
-  serializeElement(element) {
-    return {
-      tagName: element.tagName,
-      id: element.id,
-      className: element.className,
-      rect: element.getBoundingClientRect()
-    };
-  }
-
   getSystemHealth() {
     return {
       capabilities: this.capabilities,
@@ -809,10 +2049,20 @@ export class UltraStableResizeSystemV2 {
         cacheHitRate: this.cache.geometry.getHitRate()
       },
       circuitBreaker: this.circuitBreaker.getMetrics(),
+      backends: this.backends.getMetrics(),
+      loops: {
+        detected: this.metrics.resizeLoops,
+        damped: this.loopDetector.damped.size,
+        undeliveredNotifications: this.metrics.undeliveredNotifications,
+        recent: [...this.resizeLoops]
+      },
       elements: {
         registered: this.elements.size,
-        observed: this.observers.size
+        observed: this.elements.size,
+        sharedObservers: this.resizeObservers.size
       },
+      frames: this.frameScheduler.getMetrics(),
+      workers: this.workerManager?.getMetrics() ?? null,
       performance: {
         gpuSupported: this.gpuProcessor?.isSupported || false,
         workersSupported: this.workerManager?.isSupported || false,
@@ -822,21 +2072,42 @@ export class UltraStableResizeSystemV2 {
   }
 
   destroy() {
+    // Let streams and listeners finish before state is torn down
+    this.emit(ResizeSystemEvents.DESTROY, {});
+
     // Abort all ongoing operations
     this.abortController.abort();
     
+    this.frameScheduler.destroy();
+    this.resizeFlushScheduled = false;
+    this.styleWritesScheduled = false;
+    this.pendingResizes.clear();
+    this.pendingStyleWrites.clear();
+    for (const request of this.measureQueue) {
+      request.reject(this.abortController.signal.reason);
+    }
+    this.measureQueue.clear();
+    this.measureScheduled = false;
+    
     // Cleanup observers
-    for (const [element, observer] of this.observers.entries()) {
+    for (const observer of this.resizeObservers.values()) {
       observer.disconnect();
     }
+    this.resizeObservers.clear();
     
-    if (this.intersectionObserver) {
-      this.intersectionObserver.disconnect();
+    for (const observer of this.intersectionObservers.values()) {
+      observer.disconnect();
     }
+    this.intersectionObservers.clear();
+    this.offscreenPending.clear();
     
     // Cleanup managers
+    this.discovery?.stop();
     this.workerManager?.destroy();
     this.circuitBreaker?.destroy();
+    this.backends.destroy();
+    this.loopDetector.destroy();
+    this.resizeLoops = [];
     
     // Clear caches
     this.cache.geometry.clear();
@@ -845,10 +2116,139 @@ export class UltraStableResizeSystemV2 {
     
     // Clear collections
     this.observers = new WeakMap();
+    this.registry = new WeakMap();
     this.elements.clear();
+    this.groups.clear();
+    this.degraded.clear();
+    this.stateStore.reset();
+    this.invalidateState();
     
     console.log('✅ UltraStableResizeSystemV2 destroyed cleanly');
   }
 }
 
+// V1 API on top of V2: boolean registration results, uptime and error counts
+export class UltraStableResizeSystem extends UltraStableResizeSystemV2 {
+  constructor(options = {}) {
+    const config = {
+      maxErrors: 10,
+      recoveryTimeout: 5000,
+      enableGPU: false,
+      enableWorkers: false,
+      ...options
+    };
+
+    // maxErrors is V1's name for the circuit breaker threshold
+    super({ failureThreshold: config.maxErrors, ...config });
+
+    this.observers = new IterableWeakMap();
+    this.isDestroyed = false;
+    this.stability = {
+      startTime: Date.now(),
+      errorCount: 0,
+      successCount: 0,
+      lastError: null,
+      circuitBreakerOpen: false
+    };
+
+    this.addEventListener(ResizeSystemEvents.CIRCUIT_STATE_CHANGE, (event) => {
+      this.stability.circuitBreakerOpen = event.detail.state === 'OPEN';
+    });
+  }
+
+  async registerElement(element, config = {}) {
+    if (!element?.nodeType) {
+      throw new Error('Invalid element provided');
+    }
+    if (this.isDestroyed) {
+      throw new Error('Resize system has been destroyed');
+    }
+
+    // V1 degrades instead of registering elements it cannot observe
+    if (!this.capabilities.resizeObserver || this.stability.circuitBreakerOpen) {
+      const reason = this.capabilities.resizeObserver
+        ? 'Circuit breaker open'
+        : 'ResizeObserver unavailable';
+      const result = this.circuitBreaker.executeGracefulFallback(
+        { element, config },
+        new Error(reason)
+      );
+      this.reportDegraded(element, result);
+      return result;
+    }
+
+    // V1 never measured up front; the observer reports the first size
+    const handle = await super.registerElement(element, { measure: false, ...config });
+
+    if (handle.success === false) {
+      this.stability.errorCount++;
+      this.stability.lastError = handle.error ?? null;
+      return handle.result;
+    }
+
+    this.stability.successCount++;
+    return true;
+  }
+
+  async handleError(error, context = {}) {
+    this.stability.errorCount++;
+    this.stability.lastError = error?.message ?? String(error);
+    this.circuitBreaker.recordFailure(error, 0);
+
+    console.error('Resize system error:', error, context);
+    return { handled: true, errorCount: this.stability.errorCount };
+  }
+
+  formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000) % 60;
+    const minutes = Math.floor(ms / 60000) % 60;
+    const hours = Math.floor(ms / 3600000);
+
+    if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+    if (minutes > 0) return `${minutes}m ${seconds}s`;
+    return `${seconds}s`;
+  }
+
+  getSystemHealth() {
+    const health = super.getSystemHealth();
+    const { startTime, errorCount, successCount, lastError, circuitBreakerOpen } = this.stability;
+    const uptime = Date.now() - startTime;
+    const operations = errorCount + successCount;
+
+    return {
+      ...health,
+      stability: {
+        uptime,
+        uptimeFormatted: this.formatUptime(uptime),
+        errorCount,
+        successRate: operations > 0 ? successCount / operations : 1,
+        lastError,
+        circuitBreakerOpen
+      },
+      performance: {
+        ...health.performance,
+        averageProcessTime: health.performance.avgProcessTime
+      },
+      state: {
+        isHealthy: !this.isDestroyed && !circuitBreakerOpen &&
+          errorCount < this.config.maxErrors,
+        isDestroyed: this.isDestroyed,
+        elementCount: this.elements.size
+      }
+    };
+  }
+
+  destroy() {
+    if (this.isDestroyed) return;
+
+    // V1 callers may have stored their own observers here
+    for (const observer of this.observers.values()) {
+      observer?.disconnect?.();
+    }
+
+    super.destroy();
+    this.isDestroyed = true;
+  }
+}
+
 export default UltraStableResizeSystemV2;
\ No newline at end of file
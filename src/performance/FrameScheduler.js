@@ -0,0 +1,151 @@
+/**
+ * FRAME SCHEDULER
+ * Two-phase (read, then write) batching of DOM work per animation frame
+ */
+
+// Frame callbacks, degrading to timers where requestAnimationFrame is missing
+export const requestFrame = callback => (typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame(callback)
+  : setTimeout(() => callback(performance.now()), 16));
+
+export const cancelFrame = id => (typeof cancelAnimationFrame === 'function'
+  ? cancelAnimationFrame(id)
+  : clearTimeout(id));
+
+export class FrameScheduler {
+  constructor() {
+    this.reads = new Set();
+    this.writes = new Set();
+    this.frame = null;
+
+    this.metrics = {
+      frames: 0,
+      reads: 0,
+      writes: 0
+    };
+  }
+
+  /**
+   * Queue a measurement for the next read phase
+   */
+  read(task, options) {
+    return this.enqueue(this.reads, task, options);
+  }
+
+  /**
+   * Queue a DOM mutation for the next write phase
+   */
+  write(task, options) {
+    return this.enqueue(this.writes, task, options);
+  }
+
+  /**
+   * Add a task to a phase queue; it resolves with the task's return value
+   *
+   * `nextFrame` keeps a task queued during a flush out of that frame, for
+   * work deferred because the frame is over budget.
+   */
+  enqueue(queue, task, { signal, nextFrame = false } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      // Frames are counted at the start of a flush, so this frame's number is excluded
+      const after = nextFrame ? this.metrics.frames : -1;
+      const job = { task, resolve, reject, cleanup: null, after };
+
+      if (signal) {
+        const onAbort = () => {
+          queue.delete(job);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        job.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      queue.add(job);
+      this.scheduleFlush();
+    });
+  }
+
+  /**
+   * Request a frame if none is pending
+   */
+  scheduleFlush() {
+    if (this.frame !== null) return;
+    this.frame = requestFrame(() => this.flush());
+  }
+
+  /**
+   * Run every read, then every write, so layout is computed at most once
+   */
+  flush() {
+    this.metrics.frames++;
+
+    // Reads queued by reads (and writes queued by writes) join the current phase,
+    // unless they asked for the next frame
+    this.metrics.reads += this.drain(this.reads);
+    this.metrics.writes += this.drain(this.writes);
+    this.frame = null;
+
+    // Reads queued during the write phase wait for the next frame
+    if (this.reads.size > 0 || this.writes.size > 0) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Run and remove the jobs of a queue that are due, including ones added meanwhile
+   */
+  drain(queue) {
+    let count = 0;
+
+    for (const job of queue) {
+      if (job.after >= this.metrics.frames) continue;
+      queue.delete(job);
+      job.cleanup?.();
+      count++;
+
+      try {
+        job.resolve(job.task());
+      } catch (error) {
+        job.reject(error);
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Get phase counters
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      pendingReads: this.reads.size,
+      pendingWrites: this.writes.size
+    };
+  }
+
+  /**
+   * Cancel the pending frame and reject queued work
+   */
+  destroy() {
+    if (this.frame !== null) {
+      cancelFrame(this.frame);
+      this.frame = null;
+    }
+
+    const reason = new DOMException('Frame scheduler destroyed', 'AbortError');
+    for (const job of [...this.reads, ...this.writes]) {
+      job.cleanup?.();
+      job.reject(reason);
+    }
+    this.reads.clear();
+    this.writes.clear();
+  }
+}
+
+export default FrameScheduler;
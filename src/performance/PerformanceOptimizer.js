@@ -3,10 +3,13 @@
  * Intelligent throttling and visibility-based processing
  */
 
+import { FrameScheduler } from './FrameScheduler.js';
+
 export class PerformanceOptimizer {
   constructor(options = {}) {
     this.config = {
       throttleRate: 0.98,           // 98% throttling rate
+      throttleMode: 'coalesce',     // 'coalesce' (deterministic) or 'probabilistic'
       performanceBudget: 16,        // 60fps budget in ms
       adaptiveThrottling: true,     // Adjust throttling based on performance
       visibilityOptimization: true, // Only process visible elements
@@ -27,6 +30,10 @@ export class PerformanceOptimizer {
     this.performanceHistory = [];
     this.adaptiveMultiplier = 1.0;
     this.visibilityMap = new WeakMap();
+    this.throttleCredit = 0;
+    this.trailingOperations = new Map();
+    this.trailingScheduled = false;
+    this.frameScheduler = new FrameScheduler();
     
     this.setupPerformanceMonitoring();
   }
@@ -99,7 +106,15 @@ export class PerformanceOptimizer {
     }
 
     // Check if we should skip this frame
-    if (Math.random() > (1 - effectiveThrottleRate)) {
+    if (this.config.throttleMode === 'coalesce') {
+      // Accumulate credit so exactly (1 - rate) of frames run, evenly spaced
+      this.throttleCredit += 1 - effectiveThrottleRate;
+      if (this.throttleCredit < 1) {
+        this.metrics.skippedFrames++;
+        return false;
+      }
+      this.throttleCredit -= 1;
+    } else if (Math.random() > (1 - effectiveThrottleRate)) {
       this.metrics.skippedFrames++;
       return false;
     }
@@ -141,9 +156,76 @@ export class PerformanceOptimizer {
   async processElementOptimized(element, operation) {
     // Check throttling first
     if (!this.shouldProcessFrame()) {
+      if (this.config.throttleMode === 'coalesce') {
+        this.deferTrailingOperation(element, operation);
+      }
       return { skipped: true, reason: 'throttled' };
     }
 
+    // The latest operation runs now, so any trailing one is stale
+    this.trailingOperations.delete(element);
+
+    return this.executeOptimized(element, operation);
+  }
+
+  /**
+   * Keep the latest throttled operation per element for the trailing edge
+   */
+  deferTrailingOperation(element, operation) {
+    this.trailingOperations.set(element, {
+      operation,
+      timestamp: performance.now()
+    });
+    this.scheduleTrailingFlush();
+  }
+
+  /**
+   * Schedule a trailing-edge flush on the next frame
+   */
+  scheduleTrailingFlush() {
+    if (this.trailingScheduled) return;
+    this.trailingScheduled = true;
+
+    // A flush that re-schedules itself waits for the next frame instead of spinning in this one
+    this.frameScheduler.write(() => {
+      this.trailingScheduled = false;
+      this.flushTrailingOperations();
+    }, { nextFrame: true }).catch((error) => {
+      // destroy() rejects the queued flush; nothing is waiting on it
+      if (error?.name !== 'AbortError') {
+        console.error('Trailing flush failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Run trailing operations for elements that stopped receiving calls
+   */
+  flushTrailingOperations() {
+    const startTime = performance.now();
+
+    for (const [element, pending] of this.trailingOperations) {
+      // Still inside a burst: wait until a full frame passes without calls
+      if (startTime - pending.timestamp < this.config.performanceBudget) continue;
+
+      // Budget spent: remaining elements settle on a later frame
+      if (performance.now() - startTime >= this.config.performanceBudget) break;
+
+      this.trailingOperations.delete(element);
+      this.executeOptimized(element, pending.operation).catch(error => {
+        console.warn('Trailing operation failed:', error.message);
+      });
+    }
+
+    if (this.trailingOperations.size > 0) {
+      this.scheduleTrailingFlush();
+    }
+  }
+
+  /**
+   * Execute an operation within the performance budget
+   */
+  async executeOptimized(element, operation) {
     // Check element visibility
     if (!this.isElementVisible(element)) {
       this.metrics.visibilitySkips++;
@@ -274,6 +356,7 @@ export class PerformanceOptimizer {
     }
 
     this.visibilityMap.delete(element);
+    this.trailingOperations.delete(element);
   }
 
   /**
@@ -360,7 +443,11 @@ export class PerformanceOptimizer {
       this.intersectionObserver.disconnect();
     }
 
+    this.frameScheduler.destroy();
+    this.trailingScheduled = false;
+
     this.visibilityMap = new WeakMap();
+    this.trailingOperations.clear();
     this.performanceHistory = [];
   }
 }
@@ -0,0 +1,247 @@
+/**
+ * TASK SCHEDULER
+ * Prioritized task scheduling following the Prioritized Task Scheduling API,
+ * using the native scheduler where available
+ */
+
+export const TASK_PRIORITIES = ['user-blocking', 'user-visible', 'background'];
+
+// Priorities of fallback TaskSignals, read through their `priority` getter
+const signalPriorities = new WeakMap();
+
+const assertPriority = (priority) => {
+  if (!TASK_PRIORITIES.includes(priority)) {
+    throw new TypeError(`Invalid task priority: ${priority}`);
+  }
+};
+
+export class TaskPriorityChangeEvent extends Event {
+  constructor(type, { previousPriority } = {}) {
+    super(type);
+    this.previousPriority = previousPriority;
+  }
+}
+
+/**
+ * AbortController whose signal also carries a mutable priority
+ */
+class FallbackTaskController extends AbortController {
+  constructor({ priority = 'user-visible' } = {}) {
+    super();
+    assertPriority(priority);
+
+    signalPriorities.set(this.signal, priority);
+    Object.defineProperty(this.signal, 'priority', {
+      get() { return signalPriorities.get(this); },
+      configurable: true
+    });
+  }
+
+  /**
+   * Change the priority of every task posted with this controller's signal
+   */
+  setPriority(priority) {
+    assertPriority(priority);
+
+    const previousPriority = signalPriorities.get(this.signal);
+    if (priority === previousPriority) return;
+
+    signalPriorities.set(this.signal, priority);
+    this.signal.dispatchEvent(new TaskPriorityChangeEvent('prioritychange', { previousPriority }));
+  }
+}
+
+export const TaskController = globalThis.TaskController ?? FallbackTaskController;
+
+export class TaskScheduler {
+  constructor() {
+    // Yield continuations run ahead of ordinary tasks of the same priority
+    this.queues = Object.fromEntries(TASK_PRIORITIES.map(priority =>
+      [priority, { continuations: new Set(), tasks: new Set() }]));
+
+    this.hostTask = null;
+    this.channel = null;
+  }
+
+  /**
+   * Post a task; resolves with its result or rejects with its error or abort reason
+   */
+  postTask(callback, { priority, signal, delay = 0 } = {}) {
+    return this.schedule(callback, { priority, signal, delay, continuation: false });
+  }
+
+  /**
+   * Yield to the event loop; the continuation runs before new tasks of its priority
+   */
+  yield({ priority, signal } = {}) {
+    return this.schedule(() => {}, { priority, signal, delay: 0, continuation: true });
+  }
+
+  /**
+   * Queue a task now or after its delay, wiring abort and priority changes
+   */
+  schedule(callback, { priority, signal, delay, continuation }) {
+    return new Promise((resolve, reject) => {
+      if (priority !== undefined) assertPriority(priority);
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const task = {
+        callback,
+        resolve,
+        reject,
+        signal,
+        continuation,
+        // A fixed priority ignores later changes of the signal's priority
+        fixedPriority: priority,
+        queue: null,
+        timer: null,
+        cleanup: null
+      };
+
+      if (signal) {
+        const onAbort = () => {
+          clearTimeout(task.timer);
+          task.queue?.delete(task);
+          task.cleanup();
+          reject(signal.reason);
+        };
+        const onPriorityChange = () => {
+          if (!task.queue) return;
+          task.queue.delete(task);
+          this.enqueue(task);
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        if (priority === undefined) {
+          signal.addEventListener('prioritychange', onPriorityChange);
+        }
+        task.cleanup = () => {
+          signal.removeEventListener('abort', onAbort);
+          signal.removeEventListener('prioritychange', onPriorityChange);
+        };
+      }
+
+      if (delay > 0) {
+        task.timer = setTimeout(() => {
+          task.timer = null;
+          this.enqueue(task);
+        }, delay);
+      } else {
+        this.enqueue(task);
+      }
+    });
+  }
+
+  /**
+   * Effective priority: explicit option, then signal priority, then user-visible
+   */
+  getPriority(task) {
+    return task.fixedPriority ?? task.signal?.priority ?? 'user-visible';
+  }
+
+  /**
+   * Add a ready task to its priority queue
+   */
+  enqueue(task) {
+    const queue = this.queues[this.getPriority(task)];
+    task.queue = task.continuation ? queue.continuations : queue.tasks;
+    task.queue.add(task);
+    this.scheduleHostTask();
+  }
+
+  /**
+   * Highest-priority ready task, in posting order within a queue
+   */
+  peek() {
+    for (const priority of TASK_PRIORITIES) {
+      const { continuations, tasks } = this.queues[priority];
+      for (const queue of [continuations, tasks]) {
+        for (const task of queue) return task;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Request an event loop turn; background-only work waits for idle time
+   */
+  scheduleHostTask() {
+    const next = this.peek();
+    if (!next) return;
+
+    const idle = this.getPriority(next) === 'background' &&
+      typeof requestIdleCallback === 'function';
+
+    if (this.hostTask) {
+      // Foreground work must not wait behind an idle callback
+      if (!this.hostTask.idle || idle) return;
+      cancelIdleCallback(this.hostTask.id);
+    }
+
+    if (idle) {
+      this.hostTask = { idle: true, id: requestIdleCallback(() => this.runNext()) };
+    } else {
+      this.hostTask = { idle: false, id: null };
+      this.postHostMessage();
+    }
+  }
+
+  /**
+   * Start an event loop turn; unlike nested setTimeout(0) it is never clamped to 4ms
+   */
+  postHostMessage() {
+    if (typeof MessageChannel === 'undefined') {
+      setTimeout(() => this.runNext(), 0);
+      return;
+    }
+
+    if (!this.channel) {
+      this.channel = new MessageChannel();
+      this.channel.port1.onmessage = () => this.runNext();
+    }
+    // Server runtimes keep the process alive only while tasks are queued
+    this.channel.port1.ref?.();
+    this.channel.port2.postMessage(null);
+  }
+
+  /**
+   * Run one task per event loop turn so input and rendering can interleave
+   */
+  runNext() {
+    this.hostTask = null;
+
+    const task = this.peek();
+    if (task) {
+      task.queue.delete(task);
+      task.queue = null;
+      task.cleanup?.();
+
+      try {
+        task.resolve(task.callback());
+      } catch (error) {
+        task.reject(error);
+      }
+    }
+
+    this.scheduleHostTask();
+    if (!this.hostTask) this.channel?.port1.unref?.();
+  }
+}
+
+// Native methods need the scheduler as receiver
+const native = globalThis.scheduler;
+const fallback = new TaskScheduler();
+
+export const scheduler = typeof native?.postTask === 'function'
+  ? {
+      postTask: native.postTask.bind(native),
+      yield: typeof native.yield === 'function'
+        ? native.yield.bind(native)
+        : (options = {}) => native.postTask(() => {}, options)
+    }
+  : fallback;
+
+export default TaskScheduler;
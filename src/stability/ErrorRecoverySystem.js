@@ -3,6 +3,8 @@
  * Intelligent error handling with automatic recovery strategies
  */
 
+import { scheduler } from '../performance/TaskScheduler.js';
+
 export class ErrorRecoverySystem {
   constructor(options = {}) {
     this.config = {
@@ -206,7 +208,7 @@ export class ErrorRecoverySystem {
    * Sleep for specified milliseconds
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return scheduler.postTask(() => {}, { priority: 'user-visible', delay: ms });
   }
 
   /**
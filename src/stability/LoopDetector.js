@@ -0,0 +1,164 @@
+/**
+ * RESIZE LOOP DETECTOR
+ * Detects resize feedback loops and oscillating sizes per element
+ */
+
+import { scheduler, TaskController } from '../performance/TaskScheduler.js';
+
+export class ResizeLoopError extends Error {
+  constructor(type, callback) {
+    super(`Resize ${type} detected in ${callback} callback`);
+    this.name = 'ResizeLoopError';
+    this.type = type;
+    this.callback = callback;
+  }
+}
+
+export class LoopDetector {
+  constructor(options = {}) {
+    this.config = {
+      windowMs: 1000,          // Sliding window of size samples
+      oscillationCycles: 3,    // A→B→A cycles before damping
+      runawayFrames: 30,       // Consecutive identical deltas before damping
+      frameGapMs: 50,          // Max gap between samples of consecutive frames
+      cooldownMs: 500,         // Quiet period before a damped element is released
+      ...options
+    };
+
+    this.samples = new WeakMap();
+    this.damped = new Map();
+    this.onDetect = null;
+    this.onRelease = null;
+  }
+
+  /**
+   * Record a size sample; returns true while the element is damped
+   */
+  inspect(element, size, payload, now = performance.now()) {
+    const damped = this.damped.get(element);
+    if (damped) {
+      // Keep only the newest payload and restart the quiet period
+      damped.payload = payload;
+      this.armRelease(element, damped);
+      return true;
+    }
+
+    const samples = this.record(element, size, now);
+    const type = this.detectOscillation(samples) ? 'oscillation'
+      : this.detectRunaway(samples) ? 'runaway'
+      : null;
+
+    if (!type) return false;
+
+    const state = { type, payload, release: null };
+    this.damped.set(element, state);
+    this.armRelease(element, state);
+    this.onDetect?.(element, type);
+    return true;
+  }
+
+  /**
+   * Append a sample and trim the sliding window
+   */
+  record(element, size, now) {
+    const samples = this.samples.get(element) || [];
+    samples.push({ width: size.width, height: size.height, time: now });
+
+    const cutoff = now - this.config.windowMs;
+    while (samples.length > 0 && samples[0].time < cutoff) {
+      samples.shift();
+    }
+
+    this.samples.set(element, samples);
+    return samples;
+  }
+
+  /**
+   * A→B→A→B…: exactly two sizes, strictly alternating
+   */
+  detectOscillation(samples) {
+    const count = this.config.oscillationCycles * 2 + 1;
+    if (samples.length < count) return false;
+
+    const recent = samples.slice(-count);
+    const [a, b] = recent;
+    if (a.width === b.width && a.height === b.height) return false;
+
+    return recent.every((sample, i) => {
+      const expected = i % 2 === 0 ? a : b;
+      return sample.width === expected.width && sample.height === expected.height;
+    });
+  }
+
+  /**
+   * Same non-zero delta frame after frame: a callback feeding its own size
+   */
+  detectRunaway(samples) {
+    const count = this.config.runawayFrames + 1;
+    if (samples.length < count) return false;
+
+    const recent = samples.slice(-count);
+    const dw = recent[1].width - recent[0].width;
+    const dh = recent[1].height - recent[0].height;
+    if (dw === 0 && dh === 0) return false;
+
+    for (let i = 1; i < recent.length; i++) {
+      const previous = recent[i - 1];
+      const sample = recent[i];
+      if (sample.time - previous.time > this.config.frameGapMs ||
+          sample.width - previous.width !== dw ||
+          sample.height - previous.height !== dh) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Release the element once no new samples arrive for the cooldown
+   */
+  armRelease(element, state) {
+    state.release?.abort();
+    state.release = new TaskController({ priority: 'user-visible' });
+
+    scheduler.postTask(() => {
+      this.damped.delete(element);
+      this.samples.delete(element);
+      this.onRelease?.(element, state.payload);
+    }, { signal: state.release.signal, delay: this.config.cooldownMs }).catch((error) => {
+      // Aborts mean re-armed or forgotten before the cooldown ended
+      if (error?.name !== 'AbortError') {
+        console.error('Loop release failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Check whether an element is currently damped
+   */
+  isDamped(element) {
+    return this.damped.has(element);
+  }
+
+  /**
+   * Drop all loop state for an element
+   */
+  forget(element) {
+    this.damped.get(element)?.release?.abort();
+    this.damped.delete(element);
+    this.samples.delete(element);
+  }
+
+  /**
+   * Cancel pending releases
+   */
+  destroy() {
+    for (const state of this.damped.values()) {
+      state.release?.abort();
+    }
+    this.damped.clear();
+    this.samples = new WeakMap();
+  }
+}
+
+export default LoopDetector;
@@ -0,0 +1,122 @@
+/**
+ * STATE STORE
+ * Immutable state snapshots with bounded history and rollback
+ */
+
+// Snapshot collections reject mutation like the frozen snapshot itself
+const sealed = new WeakSet();
+const immutable = () => new TypeError('State snapshots are immutable; pass a new collection to update()');
+
+class ReadonlySet extends Set {
+  add(value) {
+    // The Set constructor fills the copy through add()
+    if (sealed.has(this)) throw immutable();
+    return super.add(value);
+  }
+
+  delete() {
+    throw immutable();
+  }
+
+  clear() {
+    throw immutable();
+  }
+}
+
+class ReadonlyMap extends Map {
+  set(key, value) {
+    // The Map constructor fills the copy through set()
+    if (sealed.has(this)) throw immutable();
+    return super.set(key, value);
+  }
+
+  delete() {
+    throw immutable();
+  }
+
+  clear() {
+    throw immutable();
+  }
+}
+
+export class StateStore {
+  constructor(initialState = {}, options = {}) {
+    this.config = {
+      historySize: 10,       // Previous snapshots kept for rollback
+      ...options
+    };
+
+    this.state = StateStore.freeze(initialState);
+    this.history = [];
+  }
+
+  /**
+   * Frozen copy of a state; Set and Map values become read-only copies
+   */
+  static freeze(state) {
+    const frozen = {};
+    for (const [key, value] of Object.entries(state)) {
+      frozen[key] = StateStore.seal(value);
+    }
+    return Object.freeze(frozen);
+  }
+
+  /**
+   * Read-only copy of a collection; anything else is returned as is
+   */
+  static seal(value) {
+    if (value instanceof ReadonlySet || value instanceof ReadonlyMap) return value;
+
+    let copy = null;
+    if (value instanceof Set) copy = new ReadonlySet(value);
+    if (value instanceof Map) copy = new ReadonlyMap(value);
+    if (!copy) return value;
+
+    sealed.add(copy);
+    return copy;
+  }
+
+  /**
+   * Replace the state with a frozen copy merged with a patch
+   *
+   * Collections in the state are read-only; callers pass new ones, so
+   * every snapshot in the history stays intact. `record: false`
+   * replaces the state without adding a history entry.
+   */
+  update(patch, { record = true } = {}) {
+    const changes = typeof patch === 'function' ? patch(this.state) : patch;
+
+    if (record) {
+      this.history.push(this.state);
+      if (this.history.length > this.config.historySize) {
+        this.history.splice(0, this.history.length - this.config.historySize);
+      }
+    }
+
+    this.state = StateStore.freeze({ ...this.state, ...changes });
+    return this.state;
+  }
+
+  /**
+   * Restore the snapshot taken `steps` updates ago and drop newer history
+   */
+  rollback(steps = 1) {
+    if (!Number.isInteger(steps) || steps < 1 || steps > this.history.length) {
+      throw new RangeError(`Cannot roll back ${steps} step(s); ${this.history.length} available`);
+    }
+
+    this.state = this.history[this.history.length - steps];
+    this.history.length -= steps;
+    return this.state;
+  }
+
+  /**
+   * Start over from a new state without history
+   */
+  reset(state = {}) {
+    this.state = StateStore.freeze(state);
+    this.history = [];
+  }
+}
+
+export default StateStore;
@@ -0,0 +1,159 @@
+/**
+ * GEOMETRY PROTOCOL
+ * Pure geometry computations shared by the main thread and geometry workers
+ *
+ * The functions below are serialized into the worker script, so they may
+ * only reference each other and globals available inside a worker.
+ */
+
+import { GeometryRingBuffer } from './GeometryRingBuffer.js';
+
+/**
+ * Structured-clone-safe copy of a DOMRect (or any rect-like object)
+ */
+export function toPlainRect(rect) {
+  return {
+    x: rect?.x ?? rect?.left ?? 0,
+    y: rect?.y ?? rect?.top ?? 0,
+    width: rect?.width ?? 0,
+    height: rect?.height ?? 0
+  };
+}
+
+/**
+ * Aspect ratio and orientation; within 1% of 1:1 counts as square
+ */
+export function classifyRect(rect) {
+  const aspectRatio = rect.height > 0 ? rect.width / rect.height : 0;
+  const orientation = Math.abs(aspectRatio - 1) <= 0.01 ? 'square'
+    : aspectRatio > 1 ? 'landscape'
+    : 'portrait';
+
+  return { aspectRatio, orientation };
+}
+
+/**
+ * Highest breakpoint descriptor ({ name, min, axis }) satisfied by a rect
+ */
+export function resolveBreakpoint(rect, descriptors) {
+  let match = null;
+  for (const bp of descriptors || []) {
+    if (rect[bp.axis] >= bp.min) match = bp.name;
+  }
+  return match;
+}
+
+/**
+ * Bounding size, member extremes and grid shape of a set of rects
+ */
+export function summarizeRects(rects) {
+  if (rects.length === 0) {
+    const empty = { width: 0, height: 0 };
+    return { members: 0, size: empty, min: empty, max: empty, columns: 0, rows: 0 };
+  }
+
+  const right = Math.max(...rects.map(rect => rect.right ?? rect.x + rect.width));
+  const bottom = Math.max(...rects.map(rect => rect.bottom ?? rect.y + rect.height));
+  const left = Math.min(...rects.map(rect => rect.x));
+  const top = Math.min(...rects.map(rect => rect.y));
+
+  // Members sharing a rounded left edge form a column, a rounded top edge a row
+  const columns = new Set(rects.map(rect => Math.round(rect.x))).size;
+  const rows = new Set(rects.map(rect => Math.round(rect.y))).size;
+
+  return {
+    members: rects.length,
+    size: { width: right - left, height: bottom - top },
+    min: {
+      width: Math.min(...rects.map(rect => rect.width)),
+      height: Math.min(...rects.map(rect => rect.height))
+    },
+    max: {
+      width: Math.max(...rects.map(rect => rect.width)),
+      height: Math.max(...rects.map(rect => rect.height))
+    },
+    columns,
+    rows
+  };
+}
+
+/**
+ * Compute one geometry request
+ *
+ * `definitions` holds each distinct breakpoint descriptor list once and
+ * `assignments[i]` points rect i at one of them (-1 for none). Groups
+ * reference rects by index.
+ */
+export function processGeometryBatch({ rects, definitions = [], assignments = [], groups = [] }) {
+  return {
+    results: rects.map((rect, index) => ({
+      ...classifyRect(rect),
+      breakpoint: resolveBreakpoint(rect, definitions[assignments[index]])
+    })),
+    groups: groups.map(group => ({
+      name: group.name,
+      ...summarizeRects(group.members.map(index => rects[index]))
+    }))
+  };
+}
+
+/**
+ * Compute a request whose rects live in a ring buffer instead of `rects`
+ *
+ * `packed` is `{ buffer, start, count, sequence }`. Per-rect results are
+ * written back into the buffer (breakpoints as indices into the rect's
+ * list); only group summaries are returned.
+ */
+export function processPackedGeometry({ packed, definitions = [], assignments = [], groups = [] }) {
+  const ring = new GeometryRingBuffer(packed.buffer);
+  const rects = ring.read(packed.start, packed.count);
+  const batch = processGeometryBatch({ rects, definitions, assignments, groups });
+
+  ring.complete(packed.start, batch.results.map((result, index) => ({
+    ...result,
+    breakpoint: (definitions[assignments[index]] || []).findIndex(bp => bp.name === result.breakpoint)
+  })), packed.sequence);
+
+  return { groups: batch.groups, packed };
+}
+
+/**
+ * Geometry request handler for plain and packed payloads
+ */
+export function handleGeometryRequest(payload) {
+  return payload.packed ? processPackedGeometry(payload) : processGeometryBatch(payload);
+}
+
+// Request handlers by type, also run on the main thread when workers are saturated
+export const GEOMETRY_HANDLERS = Object.freeze({ geometry: handleGeometryRequest });
+
+// Requests are { id, type, payload }; replies are { id, ok, result } or { id, ok, error }.
+// A transferred (not shared) ring buffer travels back with the reply.
+export const GEOMETRY_WORKER_SCRIPT = `
+  ${GeometryRingBuffer}
+  ${classifyRect}
+  ${resolveBreakpoint}
+  ${summarizeRects}
+  ${processGeometryBatch}
+  ${processPackedGeometry}
+  ${handleGeometryRequest}
+
+  const handlers = { geometry: ${handleGeometryRequest.name} };
+
+  self.onmessage = function(event) {
+    const { id, type, payload } = event.data;
+
+    try {
+      const handler = handlers[type];
+      if (!handler) throw new Error('Unknown request type: ' + type);
+
+      const result = handler(payload);
+      const transfer = result && result.packed && !new GeometryRingBuffer(result.packed.buffer).shared
+        ? [result.packed.buffer]
+        : [];
+      self.postMessage({ id, ok: true, result }, transfer);
+    } catch (error) {
+      self.postMessage({ id, ok: false, error: error.message });
+    }
+  };
+`;
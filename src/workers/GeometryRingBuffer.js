@@ -0,0 +1,157 @@
+/**
+ * GEOMETRY RING BUFFER
+ * Packed rect slots shared with (or transferred to) a geometry worker
+ *
+ * The class is serialized into the worker script, so it may only use
+ * its own static members and globals available inside a worker.
+ */
+
+export class GeometryRingBuffer {
+  // Slot layout: x, y, width, height, right, bottom in; aspectRatio, orientation, breakpoint out
+  static STRIDE = 9;
+  static HEADER_BYTES = 16;
+  static HEAD = 0;           // Write position, published after the rects
+  static TAIL = 1;           // Read position, released after the results are read
+  static DONE = 2;           // Sequence of the last batch whose results are written
+
+  // Batches and their completion are announced by messages: a worker blocked in
+  // Atomics.wait could not receive other requests, and Atomics.waitAsync is not
+  // universal. Nothing waits on these headers; the atomics below only order slot
+  // writes against position updates.
+  static ORIENTATIONS = ['landscape', 'portrait', 'square'];
+
+  /**
+   * Shared memory needs a cross-origin isolated page
+   */
+  static isSharedSupported() {
+    return typeof SharedArrayBuffer !== 'undefined' &&
+      typeof Atomics !== 'undefined' &&
+      globalThis.crossOriginIsolated === true;
+  }
+
+  /**
+   * Allocate a buffer for `capacity` rects, shared or transferable
+   */
+  static allocate(capacity, shared = GeometryRingBuffer.isSharedSupported()) {
+    const Buffer = shared ? SharedArrayBuffer : ArrayBuffer;
+    const bytes = GeometryRingBuffer.HEADER_BYTES + capacity * GeometryRingBuffer.STRIDE * 8;
+    return new GeometryRingBuffer(new Buffer(bytes));
+  }
+
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.shared = typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer;
+    this.header = new Int32Array(buffer, 0, GeometryRingBuffer.HEADER_BYTES / 4);
+    this.slots = new Float64Array(buffer, GeometryRingBuffer.HEADER_BYTES);
+    this.capacity = this.slots.length / GeometryRingBuffer.STRIDE;
+
+    // Positions run over twice the capacity so a full ring differs from an empty one
+    this.span = this.capacity * 2;
+  }
+
+  /**
+   * Rects written but not yet released
+   */
+  get used() {
+    const head = Atomics.load(this.header, GeometryRingBuffer.HEAD);
+    const tail = Atomics.load(this.header, GeometryRingBuffer.TAIL);
+    return (head - tail + this.span) % this.span;
+  }
+
+  /**
+   * Write rects and publish them; returns their start position, or -1 when full
+   */
+  push(rects) {
+    if (rects.length > this.capacity - this.used) return -1;
+
+    const start = Atomics.load(this.header, GeometryRingBuffer.HEAD);
+    rects.forEach((rect, index) => {
+      const offset = this.offset(start + index);
+      this.slots[offset] = rect.x;
+      this.slots[offset + 1] = rect.y;
+      this.slots[offset + 2] = rect.width;
+      this.slots[offset + 3] = rect.height;
+      // Layout edges can differ from x + width (e.g. observed content box vs border box)
+      this.slots[offset + 4] = rect.right ?? rect.x + rect.width;
+      this.slots[offset + 5] = rect.bottom ?? rect.y + rect.height;
+    });
+
+    // The atomic store orders the slot writes before the new head
+    Atomics.store(this.header, GeometryRingBuffer.HEAD, (start + rects.length) % this.span);
+    return start;
+  }
+
+  /**
+   * Read published rects (worker side)
+   */
+  read(start, count) {
+    // Pairs with the head store in push(), so the slots below are visible
+    Atomics.load(this.header, GeometryRingBuffer.HEAD);
+
+    return Array.from({ length: count }, (_, index) => {
+      const offset = this.offset(start + index);
+      return {
+        x: this.slots[offset],
+        y: this.slots[offset + 1],
+        width: this.slots[offset + 2],
+        height: this.slots[offset + 3],
+        right: this.slots[offset + 4],
+        bottom: this.slots[offset + 5]
+      };
+    });
+  }
+
+  /**
+   * Write per-rect results in place and publish the batch sequence (worker side)
+   *
+   * `breakpoint` is an index into the rect's breakpoint list, -1 for none.
+   */
+  complete(start, results, sequence) {
+    results.forEach((result, index) => {
+      const offset = this.offset(start + index);
+      this.slots[offset + 6] = result.aspectRatio;
+      this.slots[offset + 7] = GeometryRingBuffer.ORIENTATIONS.indexOf(result.orientation);
+      this.slots[offset + 8] = result.breakpoint;
+    });
+
+    // Orders the result writes before DONE, which collect() checks once the reply arrives
+    Atomics.store(this.header, GeometryRingBuffer.DONE, sequence);
+  }
+
+  /**
+   * Read the results of a completed batch and release its slots
+   *
+   * `descriptors[i]` is the breakpoint list the indices of rect i refer to.
+   */
+  collect(start, count, sequence, descriptors = []) {
+    if (Atomics.load(this.header, GeometryRingBuffer.DONE) !== sequence) {
+      throw new Error(`Geometry batch ${sequence} has no results in the ring buffer`);
+    }
+
+    const results = Array.from({ length: count }, (_, index) => {
+      const offset = this.offset(start + index);
+      const breakpoint = this.slots[offset + 8];
+      return {
+        aspectRatio: this.slots[offset + 6],
+        orientation: GeometryRingBuffer.ORIENTATIONS[this.slots[offset + 7]],
+        breakpoint: breakpoint >= 0 ? descriptors[index]?.[breakpoint]?.name ?? null : null
+      };
+    });
+
+    this.release(start, count);
+    return results;
+  }
+
+  /**
+   * Free the slots of a batch, with or without reading its results
+   */
+  release(start, count) {
+    Atomics.store(this.header, GeometryRingBuffer.TAIL, (start + count) % this.span);
+  }
+
+  offset(position) {
+    return (position % this.capacity) * GeometryRingBuffer.STRIDE;
+  }
+}
+
+export default GeometryRingBuffer;
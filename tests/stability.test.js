@@ -3,9 +3,45 @@
  * Comprehensive testing for stability features and error recovery
  */
 
-import { UltraStableResizeSystem } from '../src/core/UltraStableResizeSystem.js';
+import { UltraStableResizeSystem, UltraStableResizeSystemV2 } from '../src/core/UltraStableResizeSystem.js';
 import { CircuitBreaker } from '../src/stability/CircuitBreaker.js';
 import { ErrorRecoverySystem } from '../src/stability/ErrorRecoverySystem.js';
+import { TaskScheduler, scheduler } from '../src/performance/TaskScheduler.js';
+import { FrameScheduler } from '../src/performance/FrameScheduler.js';
+import { StateStore } from '../src/stability/StateStore.js';
+import { GEOMETRY_WORKER_SCRIPT, processGeometryBatch } from '../src/workers/GeometryProtocol.js';
+import { GeometryRingBuffer } from '../src/workers/GeometryRingBuffer.js';
+
+// Minimal ResizeObserver entry for driving the system directly
+const resizeEntry = (target, width, height) => ({ target, contentRect: { width, height } });
+
+// Runs the geometry worker script in-process; payloads with `wedge` never get a reply
+class FakeWorker extends EventTarget {
+  static instances = [];
+
+  constructor() {
+    super();
+    FakeWorker.instances.push(this);
+    this.terminated = false;
+    this.scope = {
+      postMessage: (data, transfer) => {
+        const reply = structuredClone(data, { transfer });
+        setTimeout(() => this.dispatchEvent(Object.assign(new Event('message'), { data: reply })));
+      }
+    };
+    new Function('self', GEOMETRY_WORKER_SCRIPT)(this.scope);
+  }
+
+  postMessage(data, transfer) {
+    const message = structuredClone(data, { transfer });
+    if (message.payload.wedge) return;
+    setTimeout(() => this.scope.onmessage({ data: message }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
 
 describe('Ultra-Stable Resize System - Stability Tests', () => {
   let resizeSystem;
@@ -189,6 +225,903 @@ describe('Ultra-Stable Resize System - Stability Tests', () => {
     });
   });
 
+  describe('Resize Coalescing', () => {
+    const nextFrames = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    test('should deliver only the trailing size of a burst', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const widths = [];
+      system.addEventListener('resize', event => widths.push(event.detail.geometry.width));
+      await system.registerElement(mockElement, { measure: false });
+
+      system.handleResize([resizeEntry(mockElement, 100, 50)]);
+      system.handleResize([resizeEntry(mockElement, 200, 50)]);
+      system.handleResize([resizeEntry(mockElement, 300, 50)]);
+      await nextFrames();
+
+      expect(widths).toEqual([300]);
+      expect(system.metrics.coalescedResizes).toBe(2);
+      system.destroy();
+    });
+
+    test('should defer entries over the frame budget to later frames', async () => {
+      const system = new UltraStableResizeSystemV2({
+        enableGPU: false,
+        enableWorkers: false,
+        performanceBudget: 0
+      });
+      const delivered = new Map();
+      system.addEventListener('resize', event => delivered.set(event.detail.element, {
+        width: event.detail.geometry.width,
+        frame: system.frameScheduler.metrics.frames
+      }));
+      const elements = [1, 2, 3].map(() => ({ ...mockElement }));
+      for (const element of elements) {
+        await system.registerElement(element, { measure: false });
+      }
+      const start = system.frameScheduler.metrics.frames;
+
+      system.handleResize(elements.map((element, index) => resizeEntry(element, 100 * (index + 1), 50)));
+      await nextFrames();
+
+      // One element per frame with no budget; the rest wait for later frames rather than being dropped
+      expect(elements.map(element => delivered.get(element))).toEqual([
+        { width: 100, frame: start + 1 },
+        { width: 200, frame: start + 2 },
+        { width: 300, frame: start + 3 }
+      ]);
+      expect(system.metrics.deferredResizes).toBe(3);
+      system.destroy();
+    });
+  });
+
+  describe('Unregistration', () => {
+    test('should stop observing and release every reference to the element', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const resized = [];
+      system.addEventListener('resize', event => resized.push(event.detail.element));
+      await system.registerElement(mockElement, { measure: false, breakpoints: { sm: 0, md: 400 } });
+      system.processResizeEntries([resizeEntry(mockElement, 500, 100)]);
+      const observer = system.observers.get(mockElement);
+
+      // A coalesced entry still waiting for its frame must not be delivered afterwards
+      system.handleResize([resizeEntry(mockElement, 600, 100)]);
+      expect(system.unregisterElement(mockElement)).toBe(true);
+      expect(system.pendingResizes.has(mockElement)).toBe(false);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(observer.unobserve).toHaveBeenCalledWith(mockElement);
+      expect(resized).toEqual([mockElement]);
+      expect(system.registry.has(mockElement)).toBe(false);
+      expect(system.cache.geometry.has(mockElement)).toBe(false);
+      expect(system.getBreakpoint(mockElement)).toBeNull();
+      expect(system.state.elements.has(mockElement)).toBe(false);
+      expect(system.state.breakpoints.has(mockElement)).toBe(false);
+      expect(system.unregisterElement(mockElement)).toBe(false);
+      system.destroy();
+    });
+  });
+
+  describe('Change Thresholds', () => {
+    test('should suppress changes below minDelta while drift accumulates', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const widths = [];
+      system.addEventListener('resize', event => widths.push(event.detail.geometry.width));
+      await system.registerElement(mockElement, { measure: false, minDelta: { width: 10, height: '10%' } });
+
+      for (const [width, height] of [[100, 100], [105, 100], [108, 105], [112, 105], [112, 116]]) {
+        system.processResizeEntries([resizeEntry(mockElement, width, height)]);
+      }
+
+      // 112 is measured against the last delivered 100, not the suppressed 108
+      expect(widths).toEqual([100, 112, 112]);
+      expect(system.metrics.suppressedEvents).toBe(2);
+      system.destroy();
+    });
+
+    test('should hold breakpoint crossings inside the hysteresis band', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const crossings = [];
+      system.addEventListener('breakpointchange', event => crossings.push(event.detail.breakpoint.name));
+      await system.registerElement(mockElement, {
+        measure: false,
+        breakpoints: { sm: 0, md: 768 },
+        hysteresis: 8
+      });
+
+      for (const width of [500, 770, 776, 765, 759]) {
+        system.processResizeEntries([resizeEntry(mockElement, width, 100)]);
+      }
+
+      expect(crossings).toEqual(['sm', 'md', 'sm']);
+      expect(system.metrics.suppressedBreakpointChanges).toBe(2);
+      system.destroy();
+    });
+  });
+
+  describe('Breakpoints', () => {
+    test('should report a crossing only when the breakpoint name changes', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const crossings = [];
+      system.addEventListener('breakpointchange', event => crossings.push(event.detail.breakpoint.name));
+
+      await system.registerElement(mockElement, {
+        measure: false,
+        breakpoints: { sm: 100, md: 400 }
+      });
+      system.processResizeEntries([resizeEntry(mockElement, 500, 100)]);
+      system.processResizeEntries([resizeEntry(mockElement, 200, 100)]);
+
+      // Equal definitions in a new object must not count as a crossing
+      system.reconfigureElement(mockElement, { breakpoints: { sm: 100, md: 400 } });
+
+      expect(crossings).toEqual(['md', 'sm']);
+      system.destroy();
+    });
+  });
+
+  describe('Shared Observers', () => {
+    test('should multiplex every element with the same box through one observer', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const widths = [];
+      system.addEventListener('resize', event => widths.push(event.detail.geometry.width));
+      const elements = [1, 2, 3].map(() => ({ ...mockElement }));
+      const constructed = ResizeObserver.mock.calls.length;
+
+      for (const element of elements) {
+        await system.registerElement(element, { measure: false });
+      }
+      const bordered = { ...mockElement };
+      await system.registerElement(bordered, { measure: false, box: 'border-box' });
+
+      // One observer per box type, not per element
+      expect(ResizeObserver.mock.calls.length - constructed).toBe(2);
+      const shared = system.resizeObservers.get('content-box');
+      expect(elements.every(element => system.observers.get(element) === shared)).toBe(true);
+      expect(shared.observe).toHaveBeenCalledTimes(3);
+      expect(system.observers.get(bordered)).toBe(system.resizeObservers.get('border-box'));
+
+      // A single delivery carries entries for all of them into one frame
+      const start = system.frameScheduler.metrics.frames;
+      system.handleResize(elements.map((element, index) => resizeEntry(element, 100 * (index + 1), 50)));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(widths).toEqual([100, 200, 300]);
+      expect(system.frameScheduler.metrics.frames).toBe(start + 1);
+      system.destroy();
+    });
+  });
+
+  describe('Box Normalization', () => {
+    const boxEntry = (target) => ({
+      target,
+      contentRect: { width: 100, height: 50 },
+      contentBoxSize: [{ inlineSize: 100, blockSize: 50 }],
+      borderBoxSize: [{ inlineSize: 120, blockSize: 70 }],
+      devicePixelContentBoxSize: [{ inlineSize: 200, blockSize: 100 }]
+    });
+
+    test.each([
+      ['content-box', 100, 50],
+      ['border-box', 120, 70],
+      ['device-pixel-content-box', 200, 100]
+    ])('should report %s sizes from the matching entry field', async (box, inlineSize, blockSize) => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const sizes = [];
+      system.addEventListener('resize', ({ detail: { geometry } }) => sizes.push(geometry));
+      await system.registerElement(mockElement, { measure: false, box });
+
+      system.processResizeEntries([boxEntry(mockElement)]);
+
+      expect(sizes).toMatchObject([{ box, inlineSize, blockSize, approximate: false }]);
+      system.destroy();
+    });
+
+    test('should fall back to content-box scaled by devicePixelRatio', async () => {
+      global.ResizeObserver = jest.fn().mockImplementation(() => ({
+        observe: jest.fn((element, { box }) => {
+          if (box === 'device-pixel-content-box') throw new TypeError('Unsupported box');
+        }),
+        disconnect: jest.fn(),
+        unobserve: jest.fn()
+      }));
+      const ratio = globalThis.devicePixelRatio;
+      globalThis.devicePixelRatio = 2;
+
+      try {
+        const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+        const sizes = [];
+        system.addEventListener('resize', ({ detail: { geometry } }) => sizes.push(geometry));
+        await system.registerElement(mockElement, { measure: false, box: 'device-pixel-content-box' });
+
+        const fallback = system.resizeObservers.get('content-box');
+        expect(system.observers.get(mockElement)).toBe(fallback);
+        expect(fallback.observe).toHaveBeenCalledWith(mockElement, { box: 'content-box' });
+
+        const { devicePixelContentBoxSize, ...entry } = boxEntry(mockElement);
+        system.processResizeEntries([entry]);
+
+        expect(sizes).toMatchObject([{ inlineSize: 200, blockSize: 100, approximate: true }]);
+        system.destroy();
+      } finally {
+        globalThis.devicePixelRatio = ratio;
+      }
+    });
+  });
+
+  describe('Reflected Styles', () => {
+    test('should write custom properties and data-breakpoint after the frame reads', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const log = [];
+      const element = {
+        ...mockElement,
+        style: {
+          setProperty: jest.fn((name, value) => log.push(`${name}: ${value}`)),
+          removeProperty: jest.fn()
+        },
+        setAttribute: jest.fn((name, value) => log.push(`${name}=${value}`)),
+        removeAttribute: jest.fn()
+      };
+      await system.registerElement(element, {
+        measure: false,
+        reflect: true,
+        breakpoints: { sm: 0, md: 400 },
+        onResize: (geometry, target, { read }) => read(() => log.push('read'))
+      });
+
+      system.handleResize([resizeEntry(element, 500, 200)]);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // Reads queued by callbacks finish before the system touches styles
+      expect(log).toEqual([
+        'read',
+        '--usrs-width: 500px',
+        '--usrs-height: 200px',
+        '--usrs-aspect: 2.5',
+        'data-breakpoint=md'
+      ]);
+
+      system.unregisterElement(element);
+      expect(element.style.removeProperty.mock.calls.map(([name]) => name))
+        .toEqual(['--usrs-width', '--usrs-height', '--usrs-aspect']);
+      expect(element.removeAttribute).toHaveBeenCalledWith('data-breakpoint');
+      system.destroy();
+    });
+  });
+
+  describe('Offscreen Policies', () => {
+    const visibility = (target, isIntersecting) =>
+      ({ target, isIntersecting, intersectionRatio: isIntersecting ? 1 : 0 });
+    const nextFrames = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    test('should hold suspended sizes and deliver the latest one on re-entry', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const widths = [];
+      system.addEventListener('resize', event => widths.push(event.detail.geometry.width));
+      await system.registerElement(mockElement, { measure: false, visibility: { policy: 'suspend' } });
+
+      system.handleVisibilityChange([visibility(mockElement, false)]);
+      system.handleResize([resizeEntry(mockElement, 300, 100)]);
+      await nextFrames();
+      system.handleResize([resizeEntry(mockElement, 400, 100)]);
+      await nextFrames();
+
+      expect(widths).toEqual([]);
+      expect(system.metrics.offscreenResizes).toBe(2);
+
+      // Delivered right away, without waiting for another frame
+      system.handleVisibilityChange([visibility(mockElement, true)]);
+      expect(widths).toEqual([400]);
+      expect(system.registry.get(mockElement).pendingEntry).toBeNull();
+      system.destroy();
+    });
+
+    test('should process offscreen sizes at background priority with the idle policy', async () => {
+      const postTask = jest.spyOn(scheduler, 'postTask');
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const widths = [];
+      system.addEventListener('resize', event => widths.push(event.detail.geometry.width));
+      await system.registerElement(mockElement, { measure: false, visibility: { policy: 'idle' } });
+
+      system.handleVisibilityChange([visibility(mockElement, false)]);
+      system.handleResize([resizeEntry(mockElement, 300, 100)]);
+      await nextFrames();
+
+      expect(postTask).toHaveBeenCalledWith(expect.any(Function), expect.objectContaining({ priority: 'background' }));
+      expect(widths).toEqual([300]);
+      expect(system.offscreenPending.size).toBe(0);
+      postTask.mockRestore();
+      system.destroy();
+    });
+  });
+
+  describe('Geometry History', () => {
+    test('should report velocity while resizing and settle once changes stop', async () => {
+      let now = 1000;
+      const clock = jest.spyOn(performance, 'now').mockImplementation(() => now);
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const plain = { ...mockElement };
+      await system.registerElement(plain, { measure: false });
+      await system.registerElement(mockElement, { measure: false, history: { settleTime: 150 } });
+
+      try {
+        for (const width of [100, 150, 200]) {
+          system.processResizeEntries([resizeEntry(mockElement, width, 50)]);
+          now += 50;
+        }
+
+        // 100px of width in 100ms, height unchanged
+        expect(system.getElementInsights(mockElement)).toMatchObject({
+          samples: 3,
+          velocity: { width: 1000, height: 0 },
+          direction: { width: 'growing', height: 'stable' },
+          settling: true
+        });
+
+        now += 200;
+        expect(system.getElementInsights(mockElement)).toMatchObject({
+          velocity: { width: 0, height: 0 },
+          direction: { width: 'stable', height: 'stable' },
+          settling: false
+        });
+        expect(system.getElementInsights(plain)).toBeNull();
+      } finally {
+        clock.mockRestore();
+        system.destroy();
+      }
+    });
+  });
+
+  describe('Frame Phases', () => {
+    test('should run every callback read before any callback write', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const log = [];
+      const onResize = ({ width }, element, { read, write }) => {
+        read(() => log.push(`read ${width}`));
+        write(() => log.push(`write ${width}`));
+      };
+      const elements = [1, 2].map(() => ({ ...mockElement }));
+      for (const element of elements) {
+        await system.registerElement(element, { measure: false, onResize });
+      }
+      const start = system.frameScheduler.metrics.frames;
+
+      system.handleResize(elements.map((element, index) => resizeEntry(element, 100 * (index + 1), 50)));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // Layout is read once for both elements, not thrashed between their writes
+      expect(log).toEqual(['read 100', 'read 200', 'write 100', 'write 200']);
+      expect(system.frameScheduler.metrics.frames).toBe(start + 1);
+      system.destroy();
+    });
+
+    test('should join work queued mid-frame to the current frame unless it asks for the next', async () => {
+      const frameScheduler = new FrameScheduler();
+      const log = [];
+      const frame = label => () => log.push(`${label} @${frameScheduler.metrics.frames}`);
+
+      await frameScheduler.read(() => {
+        frame('read')();
+        frameScheduler.write(frame('write'));
+        frameScheduler.read(frame('nested read'));
+        frameScheduler.read(frame('deferred read'), { nextFrame: true });
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(log).toEqual(['read @1', 'nested read @1', 'write @1', 'deferred read @2']);
+      frameScheduler.destroy();
+    });
+  });
+
+  describe('Geometry Streams', () => {
+    test('should deliver sizes and end when the element is unregistered', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      await system.registerElement(mockElement, { measure: false });
+
+      const stream = system.observe(mockElement);
+      system.processResizeEntries([resizeEntry(mockElement, 320, 200)]);
+      system.unregisterElement(mockElement);
+
+      const first = await stream.next();
+      expect(first.value.width).toBe(320);
+      expect((await stream.next()).done).toBe(true);
+      system.destroy();
+    });
+
+    test('should end without an unhandled rejection when destroyed before the first frame', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const rejections = [];
+      const onRejection = reason => rejections.push(reason);
+      process.on('unhandledRejection', onRejection);
+
+      const stream = system.observe(mockElement);
+      // Let the registration queue its measurement; the frame has not run yet
+      await new Promise(resolve => setTimeout(resolve, 0));
+      system.destroy();
+
+      expect((await stream.next()).done).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      process.off('unhandledRejection', onRejection);
+      expect(rejections).toEqual([]);
+    });
+
+    test('should unregister an element it registered when the consumer stops', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const controller = new AbortController();
+      const other = { ...mockElement, id: 'aborted-stream-element' };
+
+      const stream = system.observe(mockElement, { measure: false });
+      system.observe(other, { measure: false, signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(system.elements.has(mockElement)).toBe(true);
+      expect(system.elements.has(other)).toBe(true);
+
+      system.processResizeEntries([resizeEntry(mockElement, 320, 200)]);
+      for await (const geometry of stream) {
+        expect(geometry.width).toBe(320);
+        break;
+      }
+      controller.abort();
+
+      expect(system.elements.has(mockElement)).toBe(false);
+      expect(system.elements.has(other)).toBe(false);
+      system.destroy();
+    });
+
+    test('should leave an existing registration alone when the stream ends', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      await system.registerElement(mockElement, { measure: false });
+
+      await system.observe(mockElement).return();
+
+      expect(system.elements.has(mockElement)).toBe(true);
+      system.destroy();
+    });
+  });
+
+  describe('Resize Loop Protection', () => {
+    test('should damp an oscillating element and deliver its settled size on release', async () => {
+      const system = new UltraStableResizeSystemV2({
+        enableGPU: false,
+        enableWorkers: false,
+        loopDetection: { oscillationCycles: 2, cooldownMs: 30 }
+      });
+      const sizes = [];
+      await system.registerElement(mockElement, {
+        measure: false,
+        onResize: ({ width }) => {
+          sizes.push(width);
+          // A throwing callback on release must be reported, not left unhandled
+          if (width === 300) throw new Error('Callback failed');
+        }
+      });
+
+      const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+      for (const width of [100, 200, 100, 200, 100, 200, 300]) {
+        system.processResizeEntries([resizeEntry(mockElement, width, 50)]);
+      }
+      expect(sizes).toEqual([100, 200, 100, 200]);
+      expect(system.getSystemHealth().loops.damped).toBe(1);
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect(sizes).toEqual([100, 200, 100, 200, 300]);
+      expect(system.getSystemHealth().loops.damped).toBe(0);
+      expect(errors).toHaveBeenCalledWith('Loop release failed:', expect.any(Error));
+
+      errors.mockRestore();
+      system.destroy();
+    });
+  });
+
+  describe('Declarative Discovery', () => {
+    test('should drop discovered elements whose registration is aborted by destroy', async () => {
+      const element = { ...mockElement, dataset: { usrsBreakpoints: 'sm:320, md:768' } };
+      const root = { nodeType: 9, querySelectorAll: () => [element] };
+      const rejections = [];
+      const onRejection = reason => rejections.push(reason);
+      process.on('unhandledRejection', onRejection);
+
+      const system = new UltraStableResizeSystemV2({
+        enableGPU: false,
+        enableWorkers: false,
+        autoDiscover: { root }
+      });
+      expect(system.discovery.discovered.has(element)).toBe(true);
+
+      // Destroy after the registration queued its measurement, before the frame
+      await new Promise(resolve => setTimeout(resolve, 0));
+      system.destroy();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      process.off('unhandledRejection', onRejection);
+
+      expect(rejections).toEqual([]);
+      expect(system.discovery.discovered.has(element)).toBe(false);
+    });
+
+    test.each([
+      ['removed from the document', (system, element) => system.discovery.unregister(element)],
+      ['detached without a mutation record', (system, element) => { element.isConnected = false; }]
+    ])('should not keep an element %s while its registration was pending', async (_, detach) => {
+      const element = { ...mockElement, isConnected: true, dataset: {} };
+      const root = { nodeType: 9, querySelectorAll: () => [element] };
+      const system = new UltraStableResizeSystemV2({
+        enableGPU: false,
+        enableWorkers: false,
+        autoDiscover: { root }
+      });
+
+      // The registration is waiting for its measurement frame
+      await new Promise(resolve => setTimeout(resolve, 0));
+      detach(system, element);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(system.elements.has(element)).toBe(false);
+      expect(system.discovery.discovered.has(element)).toBe(false);
+      system.destroy();
+    });
+  });
+
+  describe('Registration Lifecycle', () => {
+    test('should not register elements once destroyed mid-registration', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+
+      const pending = system.registerElement(mockElement, { measure: false });
+      system.destroy();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(system.elements.size).toBe(0);
+      expect(system.resizeObservers.size).toBe(0);
+    });
+
+    test('should confirm a breakpoint-only server hint without a resize', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const resizes = [];
+      system.addEventListener('resize', event => resizes.push(event.detail.geometry));
+
+      await system.registerElement(mockElement, {
+        measure: false,
+        breakpoints: { sm: 100, md: 400 },
+        hint: { breakpoint: 'md' }
+      });
+      system.processResizeEntries([resizeEntry(mockElement, 500, 100)]);
+
+      expect(system.metrics.hintsConfirmed).toBe(1);
+      expect(system.metrics.hintsCorrected).toBe(0);
+      expect(resizes).toEqual([]);
+      system.destroy();
+    });
+
+    test('should reject a second registration of the same element', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const other = { ...mockElement, id: 'pending-element' };
+
+      const handle = await system.registerElement(mockElement, { measure: false });
+      await expect(system.registerElement(mockElement, { measure: false }))
+        .rejects.toThrow('Element is already registered');
+
+      const pending = system.registerElement(other);
+      await expect(system.registerElement(other)).rejects.toThrow('Element is already registered');
+      await pending;
+
+      expect(handle.active).toBe(true);
+      system.destroy();
+    });
+
+    test('should detach from the abort signal once the registration ends', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const controller = new AbortController();
+      const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+      const handle = await system.registerElement(mockElement, { measure: false, signal: controller.signal });
+      system.unregisterElement(mockElement);
+      expect(removeListener).toHaveBeenCalledWith('abort', handle.onAbort);
+      expect(handle.active).toBe(false);
+
+      // The old signal no longer reaches the element's next registration
+      const next = await system.registerElement(mockElement, { measure: false });
+      controller.abort();
+      expect(next.active).toBe(true);
+
+      const shared = new AbortController();
+      const removeShared = jest.spyOn(shared.signal, 'removeEventListener');
+      const owned = await system.registerElement({ ...mockElement, id: 'owned' }, { measure: false, signal: shared.signal });
+      owned.dispose();
+      expect(removeShared).toHaveBeenCalledWith('abort', owned.onAbort);
+      system.destroy();
+    });
+  });
+
+  describe('Task Scheduling', () => {
+    test('should run queued fallback tasks by priority without timer clamping', async () => {
+      const taskScheduler = new TaskScheduler();
+      const order = [];
+
+      await Promise.all([
+        taskScheduler.postTask(() => order.push('background'), { priority: 'background' }),
+        taskScheduler.postTask(() => order.push('user-visible')),
+        taskScheduler.postTask(() => order.push('user-blocking'), { priority: 'user-blocking' })
+      ]);
+      expect(order).toEqual(['user-blocking', 'user-visible', 'background']);
+
+      // Chained setTimeout(0) turns are clamped; 200 of them would take far longer
+      const startTime = performance.now();
+      await Promise.all(Array.from({ length: 200 }, (_, i) => taskScheduler.postTask(() => i)));
+      expect(performance.now() - startTime).toBeLessThan(100);
+    });
+  });
+
+  describe('Backend Routing', () => {
+    test('should route around a failing backend once its breaker opens', async () => {
+      const measure = jest.fn(() => {
+        throw new Error('Backend hung');
+      });
+      resizeSystem.registerBackend({ name: 'flaky', estimate: () => 0, measure });
+
+      for (let i = 0; i < 4; i++) {
+        const element = { ...mockElement, id: `routed-element-${i}` };
+        const result = await resizeSystem.registerElement(element, { measure: true });
+        expect(result).toBe(true);
+      }
+
+      const { backends } = resizeSystem.getSystemHealth();
+      expect(measure).toHaveBeenCalledTimes(2);
+      expect(backends.flaky.state).toBe('OPEN');
+      expect(backends.flaky.skipped).toBe(2);
+      expect(backends.cpu.batches).toBe(4);
+    });
+
+    test('should time out a hung backend, abort it and fall through', async () => {
+      const system = new UltraStableResizeSystemV2({
+        enableGPU: false,
+        enableWorkers: false,
+        backendTimeout: 30,
+        backendBreaker: { failureThreshold: 1 }
+      });
+      const signals = [];
+      system.registerBackend({
+        name: 'hung',
+        estimate: () => 0,
+        measure: (elements, context) => {
+          signals.push(context.signal);
+          return new Promise(() => {});
+        }
+      });
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const startTime = performance.now();
+      const handle = await system.registerElement(mockElement);
+
+      expect(handle.success).toBe(true);
+      expect(handle.method).toBe('cpu');
+      expect(performance.now() - startTime).toBeLessThan(1000);
+      expect(signals[0].reason).toMatchObject({ name: 'TimeoutError' });
+      expect(system.getSystemHealth().backends.hung).toMatchObject({ failures: 1, state: 'OPEN' });
+      warn.mockRestore();
+      system.destroy();
+    });
+  });
+
+  describe('Registration Cancellation', () => {
+    test('should cancel backend work once every registration in the batch is aborted', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      let context = null;
+      system.registerBackend({
+        name: 'slow',
+        estimate: () => 0,
+        measure: (elements, ctx) => {
+          context = ctx;
+          return new Promise((resolve, reject) => {
+            ctx.signal.addEventListener('abort', () => reject(ctx.signal.reason), { once: true });
+          });
+        }
+      });
+
+      const controller = new AbortController();
+      const pending = system.registerElement(mockElement, { signal: controller.signal });
+      while (!context) await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect(context.signal.aborted).toBe(false);
+      controller.abort();
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(context.signal.aborted).toBe(true);
+      system.destroy();
+    });
+
+    test('should detach from the registration signal once measured', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const controller = new AbortController();
+      const removeListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+      await system.registerElement(mockElement, { signal: controller.signal });
+
+      expect(removeListener).toHaveBeenCalledWith('abort', expect.any(Function));
+      system.destroy();
+    });
+  });
+
+  describe('Element Groups', () => {
+    test('should drop worker aggregations that finish after a newer one', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const summary = width => ({
+        groups: [{ name: 'cards', members: 1, size: { width, height: 100 }, min: {}, max: {}, columns: 1, rows: 1 }]
+      });
+      const replies = [];
+      system.workerManager = {
+        isSupported: true,
+        request: () => new Promise(resolve => replies.push(resolve))
+      };
+
+      const group = await system.createGroup('cards', [], { workerThreshold: 1 });
+      await group.add(mockElement, { measure: false });
+      system.processResizeEntries([resizeEntry(mockElement, 100, 100)]);
+
+      const delivered = [];
+      system.addEventListener('groupresize', event => delivered.push(event.detail.size.width));
+
+      const older = group.aggregate();
+      const newer = group.aggregate();
+      replies[1](summary(200));
+      replies[0](summary(100));
+
+      expect(await newer).not.toBeNull();
+      expect(await older).toBeNull();
+      expect(delivered).toEqual([200]);
+      expect(group.last.size.width).toBe(200);
+
+      system.workerManager = null;
+      system.destroy();
+    });
+  });
+
+  describe('Worker Pool', () => {
+    const rects = [{ x: 0, y: 0, width: 200, height: 100 }];
+    let system;
+
+    const createSystem = workers => new UltraStableResizeSystemV2({
+      ssr: false,
+      enableGPU: false,
+      enableWorkers: true,
+      workers
+    });
+    const settle = promise => promise.then(() => 'resolved', error => error.message);
+
+    beforeEach(() => {
+      FakeWorker.instances = [];
+      global.Worker = FakeWorker;
+    });
+
+    afterEach(() => {
+      system?.destroy();
+      delete global.Worker;
+    });
+
+    test('should queue tasks beyond the pool and reject overflow', async () => {
+      system = createSystem({ poolSize: 1, maxQueue: 1, overflow: 'reject' });
+      const { workerManager } = system;
+
+      const results = await Promise.all([1, 2, 3].map(() =>
+        settle(workerManager.request('geometry', { rects }))));
+
+      expect(results).toEqual(['resolved', 'resolved', 'Worker queue is full (1 tasks)']);
+      expect(FakeWorker.instances).toHaveLength(1);
+      expect(workerManager.getMetrics()).toMatchObject({ completed: 2, dropped: 1, queued: 0 });
+    });
+
+    test('should reject the new task with drop-oldest and no queue', async () => {
+      system = createSystem({ poolSize: 1, maxQueue: 0, overflow: 'drop-oldest' });
+      const { workerManager } = system;
+
+      const results = await Promise.all([1, 2].map(() =>
+        settle(workerManager.request('geometry', { rects }))));
+
+      expect(results).toEqual(['resolved', 'Worker queue is full (0 tasks)']);
+    });
+
+    test('should time out queued and wedged tasks and replace the wedged worker', async () => {
+      system = createSystem({ poolSize: 1, timeoutMs: 30 });
+      const { workerManager } = system;
+
+      // Both deadlines can fire in one timer batch, so both rejections are handled up front
+      const [wedged, queued] = await Promise.allSettled([
+        workerManager.request('geometry', { rects, wedge: true }),
+        workerManager.request('geometry', { rects })
+      ]);
+      expect(wedged.reason).toMatchObject({ name: 'TimeoutError' });
+      expect(queued.reason).toMatchObject({ name: 'TimeoutError' });
+
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+      await expect(workerManager.request('geometry', { rects })).resolves.toMatchObject({
+        results: [{ orientation: 'landscape' }]
+      });
+      expect(workerManager.getMetrics()).toMatchObject({ timedOut: 2, replaced: 1, workers: 1 });
+    });
+
+    test('should fall back when no worker can be started', async () => {
+      global.Worker = class {
+        constructor() {
+          throw new Error('Blocked by CSP');
+        }
+      };
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      system = createSystem({ timeoutMs: 300 });
+      const { workerManager } = system;
+
+      await expect(workerManager.request('geometry', { rects })).resolves.toMatchObject({
+        results: [{ orientation: 'landscape' }]
+      });
+      expect(workerManager.isSupported).toBe(false);
+      expect(workerManager.getMetrics()).toMatchObject({ fallbacks: 1, queued: 0 });
+      warn.mockRestore();
+    });
+  });
+
+  describe('Geometry Ring Buffer', () => {
+    const descriptors = [{ name: 'sm', axis: 'width', min: 0 }, { name: 'md', axis: 'width', min: 400 }];
+    // Layout edges of the first rect lie outside its observed content box
+    const rects = [
+      { x: 0, y: 0, width: 500, height: 100, right: 520, bottom: 110 },
+      { x: 0, y: 200, width: 50, height: 100 }
+    ];
+
+    afterEach(() => {
+      delete global.Worker;
+      delete globalThis.crossOriginIsolated;
+    });
+
+    test('should wrap packed batches around the ring and refuse overfull pushes', () => {
+      const ring = GeometryRingBuffer.allocate(3, false);
+
+      expect(ring.push(rects)).toBe(0);
+      expect(ring.push(rects)).toBe(-1);
+      ring.complete(0, [{ aspectRatio: 5, orientation: 'landscape', breakpoint: 1 }, { aspectRatio: 0.5, orientation: 'portrait', breakpoint: -1 }], 1);
+      expect(ring.collect(0, 2, 1, [descriptors, descriptors])).toEqual([
+        { aspectRatio: 5, orientation: 'landscape', breakpoint: 'md' },
+        { aspectRatio: 0.5, orientation: 'portrait', breakpoint: null }
+      ]);
+      expect(ring.used).toBe(0);
+
+      // The second batch occupies slots 2 and 0
+      const start = ring.push(rects);
+      expect(start).toBe(2);
+      expect(ring.read(start, 2)).toEqual([rects[0], { ...rects[1], right: 50, bottom: 300 }]);
+      expect(() => ring.collect(start, 2, 2)).toThrow('Geometry batch 2 has no results in the ring buffer');
+    });
+
+    test.each([
+      ['shared', true, true],
+      ['transfer', false, true],
+      ['clone', false, false]
+    ])('should match the main thread through the %s transport', async (transport, isolated, enableTransferables) => {
+      global.Worker = FakeWorker;
+      globalThis.crossOriginIsolated = isolated;
+      const system = new UltraStableResizeSystemV2({
+        ssr: false,
+        enableGPU: false,
+        workers: { poolSize: 1, enableTransferables }
+      });
+      const { workerManager } = system;
+      const payload = {
+        rects,
+        definitions: [descriptors],
+        assignments: [0, -1],
+        groups: [{ name: 'cards', members: [0, 1] }]
+      };
+
+      const result = await workerManager.request('geometry', payload);
+
+      expect(workerManager.transport).toBe(transport);
+      expect(result.results.map(({ orientation, breakpoint }) => [orientation, breakpoint])).toEqual([
+        ['landscape', 'md'],
+        ['portrait', null]
+      ]);
+      // Group sizes use the layout edges on every transport
+      expect(result.groups).toEqual(processGeometryBatch(payload).groups);
+      expect(result.groups[0].size).toEqual({ width: 520, height: 300 });
+      if (isolated) expect(workerManager.rings.values().next().value.used).toBe(0);
+      system.destroy();
+    });
+  });
+
   describe('Memory Management', () => {
     test('should clean up observers on destroy', () => {
       const mockObserver = { disconnect: jest.fn() };
@@ -241,6 +1174,102 @@ describe('Ultra-Stable Resize System - Stability Tests', () => {
     });
   });
 
+  describe('State Rollback', () => {
+    test('should roll back a reconfiguration after mount/unmount churn', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const good = { sm: 100, md: 400 };
+      await system.registerElement(mockElement, { measure: false, breakpoints: good });
+      system.reconfigureElement(mockElement, { breakpoints: { broken: 0 } });
+
+      for (let i = 0; i < 12; i++) {
+        const element = { ...mockElement, id: `churn-element-${i}` };
+        await system.registerElement(element, { measure: false });
+        system.unregisterElement(element);
+      }
+
+      expect(system.stateHistory).toHaveLength(1);
+      system.rollback(1);
+      expect(system.registry.get(mockElement).config.breakpoints).toBe(good);
+      expect(system.state.configs.get(mockElement).breakpoints).toBe(good);
+      system.destroy();
+    });
+
+    test('should undo several reconfigurations newest first', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const original = { sm: 100 };
+      await system.registerElement(mockElement, { measure: false, breakpoints: original });
+      system.reconfigureElement(mockElement, { breakpoints: { md: 400 } });
+      system.reconfigureElement(mockElement, { breakpoints: { lg: 900 } });
+
+      system.rollback(2);
+      expect(system.registry.get(mockElement).config.breakpoints).toBe(original);
+      expect(system.state.configs.get(mockElement).breakpoints).toBe(original);
+      expect(system.stateHistory).toHaveLength(0);
+      system.destroy();
+    });
+
+    test('should keep snapshot collections read-only', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      await system.registerElement(mockElement, { measure: false });
+      const snapshot = system.state;
+
+      expect(() => snapshot.elements.add({})).toThrow(TypeError);
+      expect(() => snapshot.configs.delete(mockElement)).toThrow(TypeError);
+      expect(snapshot.elements.size).toBe(1);
+      system.destroy();
+    });
+
+    test('should build snapshot collections on read, not per registration or crossing', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      const elements = Array.from({ length: 20 }, (_, i) => ({ ...mockElement, id: `bulk-element-${i}` }));
+      const freeze = jest.spyOn(StateStore, 'freeze');
+
+      for (const element of elements) {
+        await system.registerElement(element, { measure: false, breakpoints: { sm: 0, md: 400 } });
+      }
+      system.processResizeEntries(elements.map(element => resizeEntry(element, 500, 100)));
+      expect(freeze).not.toHaveBeenCalled();
+
+      const { elements: registered, breakpoints } = system.state;
+      expect(system.state).toBe(system.state);
+      expect(freeze).toHaveBeenCalledTimes(1);
+      expect(registered.size).toBe(20);
+      expect(breakpoints.get(elements[0])).toBe('md');
+      freeze.mockRestore();
+      system.destroy();
+    });
+
+    test('should keep no element references in the history', async () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false });
+      await system.registerElement(mockElement, { measure: false });
+      system.reconfigureElement(mockElement, { breakpoints: { sm: 0 } });
+      system.reconfigureElement(mockElement, { breakpoints: { md: 0 } });
+      system.unregisterElement(mockElement);
+
+      for (const snapshot of system.stateStore.history.concat(system.stateStore.state)) {
+        for (const value of Object.values(snapshot)) {
+          expect(value).not.toBeInstanceOf(Set);
+          expect(value).not.toBeInstanceOf(Map);
+        }
+      }
+      expect(system.stateStore.state.reconfiguration.target).toBeInstanceOf(WeakRef);
+      system.destroy();
+    });
+
+    test('should keep only the most recent degraded elements', () => {
+      const system = new UltraStableResizeSystemV2({ enableGPU: false, enableWorkers: false, maxDegraded: 2 });
+      const elements = [1, 2, 3].map(i => ({ ...mockElement, id: `degraded-element-${i}` }));
+
+      for (const element of elements) {
+        system.reportDegraded(element, { error: 'unavailable' });
+      }
+
+      expect([...system.state.degraded]).toEqual(elements.slice(1));
+      expect(system.stateHistory).toHaveLength(0);
+      system.destroy();
+    });
+  });
+
   describe('Performance Monitoring', () => {
     test('should track system health metrics', () => {
       const health = resizeSystem.getSystemHealth();